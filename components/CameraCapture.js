@@ -0,0 +1,111 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const CAPTURE_QUALITY = 0.92;
+
+const cameraErrorKey = (error) => {
+  if (error?.name === "NotAllowedError" || error?.name === "SecurityError") {
+    return "camera.denied";
+  }
+  if (error?.name === "NotFoundError" || error?.name === "OverconstrainedError") {
+    return "camera.notFound";
+  }
+  return "camera.failed";
+};
+
+export default function CameraCapture({ onCapture, onClose, t }) {
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const [statusKey, setStatusKey] = useState("camera.starting");
+  const [ready, setReady] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const start = async () => {
+      if (!navigator.mediaDevices?.getUserMedia) {
+        setStatusKey("camera.unsupported");
+        return;
+      }
+      try {
+        // Prefer the rear camera on phones; desktops fall back to any camera.
+        const stream = await navigator.mediaDevices.getUserMedia({
+          video: {
+            facingMode: { ideal: "environment" },
+            width: { ideal: 1920 },
+            height: { ideal: 1080 },
+          },
+          audio: false,
+        });
+        if (cancelled) {
+          stream.getTracks().forEach((track) => track.stop());
+          return;
+        }
+        streamRef.current = stream;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        setReady(true);
+        setStatusKey("");
+      } catch (error) {
+        if (cancelled) return;
+        console.error("Camera start failed:", error);
+        setStatusKey(cameraErrorKey(error));
+      }
+    };
+
+    start();
+    return () => {
+      cancelled = true;
+      streamRef.current?.getTracks().forEach((track) => track.stop());
+      streamRef.current = null;
+    };
+  }, []);
+
+  const handleCapture = () => {
+    const video = videoRef.current;
+    if (!video?.videoWidth) return;
+    const canvas = document.createElement("canvas");
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext("2d").drawImage(video, 0, 0);
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          setStatusKey("camera.failed");
+          return;
+        }
+        onCapture(new File([blob], `site-photo-${Date.now()}.jpg`, { type: "image/jpeg" }));
+      },
+      "image/jpeg",
+      CAPTURE_QUALITY
+    );
+  };
+
+  return (
+    <div className="mt-3 rounded border bg-black/90 p-3 text-white">
+      <video
+        ref={videoRef}
+        className="w-full max-h-[60vh] rounded bg-black object-contain"
+        playsInline
+        muted
+      />
+      {statusKey && <p className="mt-2 text-sm text-gray-200">{t(statusKey)}</p>}
+      <div className="mt-3 flex gap-2">
+        <button
+          type="button"
+          className="rounded bg-teal-600 px-4 py-2 text-white disabled:opacity-50"
+          onClick={handleCapture}
+          disabled={!ready}
+        >
+          {t("camera.capture")}
+        </button>
+        <button
+          type="button"
+          className="rounded border border-gray-400 px-4 py-2 text-white hover:bg-white/10"
+          onClick={onClose}
+        >
+          {t("camera.cancel")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useState } from "react";
+import { responseErrorKey } from "@/lib/i18n";
+
+const formatScore = (value) => (Number.isFinite(value) ? value.toFixed(1) : "–");
+
+// The planner returns reason codes; two of them read differently when the
+// number they would quote is missing or makes no difference.
+const leftOutKey = ({ reason, ease, effectivenessLoss }) => {
+  if (reason === "below-min-ease" && !Number.isFinite(ease)) return "plan.reason.no-ease";
+  if (reason === "traded-off" && !(effectivenessLoss > 0)) return "plan.reason.equal-package";
+  return `plan.reason.${reason}`;
+};
+
+export default function InterventionPlanPanel({ prompt, location, onPinPlan, t }) {
+  const [budget, setBudget] = useState("");
+  const [minEase, setMinEase] = useState(0);
+  const [plan, setPlan] = useState(null);
+  const [statusKey, setStatusKey] = useState("");
+
+  const handlePlan = async () => {
+    setStatusKey("plan.planning");
+    setPlan(null);
+    try {
+      const res = await fetch("/api/plan-interventions", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ prompt, location, budget, minEase }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        console.error("Intervention planning failed:", data.error);
+        setStatusKey(
+          res.status === 400 ? "plan.invalidInput" : responseErrorKey(res.status, "plan.failed")
+        );
+        return;
+      }
+      setPlan(data);
+      setStatusKey("");
+    } catch (error) {
+      console.error("Intervention planning failed:", error);
+      setStatusKey("plan.failed");
+    }
+  };
+
+  const leftOut = plan ? [...plan.tradeOffs, ...plan.excluded] : [];
+
+  return (
+    <div className="mt-4 border-t pt-3 text-gray-800">
+      <p className="text-xs font-semibold uppercase text-gray-500 mb-2">
+        {t("plan.title")}
+      </p>
+      <div className="flex flex-wrap items-end gap-3 text-xs">
+        <label className="flex flex-col gap-1">
+          <span className="font-semibold uppercase text-gray-500">{t("plan.budget")}</span>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            className="border rounded px-2 py-1 text-sm w-28"
+            value={budget}
+            onChange={(e) => setBudget(e.target.value)}
+            placeholder={t("plan.budgetPlaceholder")}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="font-semibold uppercase text-gray-500">{t("interventions.minEase")}</span>
+          <select
+            className="border rounded px-2 py-1 text-sm"
+            value={minEase}
+            onChange={(e) => setMinEase(Number(e.target.value))}
+          >
+            {[0, 2, 3, 4, 5].map((value) => (
+              <option key={value} value={value}>
+                {value ? `${value}+` : t("interventions.any")}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          className={`rounded px-3 py-1.5 text-sm text-white ${
+            Number(budget) > 0 ? "bg-teal-600 hover:bg-teal-500" : "bg-teal-300 cursor-not-allowed"
+          }`}
+          onClick={handlePlan}
+          disabled={!(Number(budget) > 0)}
+        >
+          {t("plan.submit")}
+        </button>
+      </div>
+
+      {statusKey && <p className="text-sm text-gray-600 mt-2">{t(statusKey)}</p>}
+
+      {plan && (
+        <div className="mt-3 text-sm space-y-2">
+          <ul className="list-disc pl-5 text-gray-700">
+            {plan.explanation.map((entry) => (
+              <li key={entry.code}>{t(`plan.explanation.${entry.code}`, entry)}</li>
+            ))}
+          </ul>
+
+          {plan.items.length > 0 && (
+            <div>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs uppercase text-gray-500">
+                    <th className="py-1 pr-2">{t("plan.inPackage")}</th>
+                    <th className="py-1 px-2 text-right">{t("interventions.column.cost")}</th>
+                    <th className="py-1 px-2 text-right">{t("interventions.column.ease")}</th>
+                    <th className="py-1 pl-2 text-right">{t("interventions.column.effectiveness")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {plan.items.map((item) => (
+                    <tr key={item.id} className="border-t">
+                      <td className="py-1 pr-2 font-medium">{item.name}</td>
+                      <td className="py-1 px-2 text-right">{formatScore(item.cost)}</td>
+                      <td className="py-1 px-2 text-right">{formatScore(item.ease)}</td>
+                      <td className="py-1 pl-2 text-right">{formatScore(item.effectiveness)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button
+                type="button"
+                className="mt-2 rounded border border-teal-600 px-3 py-1 text-xs text-teal-700 hover:bg-teal-50"
+                onClick={() => onPinPlan(plan.items)}
+              >
+                {t("plan.pinPackage")}
+              </button>
+            </div>
+          )}
+
+          {leftOut.length > 0 && (
+            <details className="text-xs text-gray-600">
+              <summary className="cursor-pointer">
+                {t("plan.leftOut", { count: leftOut.length })}
+              </summary>
+              <ul className="mt-1 space-y-1">
+                {leftOut.map((item) => (
+                  <li key={item.id}>
+                    <span className="font-medium text-gray-800">{item.name}</span> —{" "}
+                    {t(leftOutKey(item), {
+                      cost: item.cost,
+                      ease: item.ease,
+                      budget: plan.budget,
+                      minEase: plan.minEase,
+                      effectiveness: item.effectivenessWithItem,
+                      total: plan.totalEffectiveness,
+                    })}
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useState } from "react";
+
+const SORT_OPTIONS = [
+  { id: "relevance", descending: true },
+  { id: "effectiveness", descending: true },
+  { id: "ease", descending: true },
+  { id: "cost", descending: false },
+  { id: "name", descending: false },
+];
+
+const formatScore = (value) => (Number.isFinite(value) ? value.toFixed(1) : "–");
+
+const compareBy = (key, descending) => (a, b) => {
+  if (key === "name") return a.name.localeCompare(b.name);
+  const left = Number.isFinite(a[key]) ? a[key] : null;
+  const right = Number.isFinite(b[key]) ? b[key] : null;
+  if (left === right) return a.name.localeCompare(b.name);
+  if (left === null) return 1;
+  if (right === null) return -1;
+  return descending ? right - left : left - right;
+};
+
+export default function InterventionsPanel({ items = [], pinned = [], onTogglePin, t }) {
+  const [sortKey, setSortKey] = useState("relevance");
+  const [query, setQuery] = useState("");
+  const [minEffectiveness, setMinEffectiveness] = useState(0);
+  const [minEase, setMinEase] = useState(0);
+
+  const pinnedIds = new Set(pinned.map(({ id }) => id));
+  const normalizedQuery = query.trim().toLowerCase();
+  const sortOption = SORT_OPTIONS.find(({ id }) => id === sortKey) || SORT_OPTIONS[0];
+
+  const visibleItems = items
+    .filter((item) => {
+      if (normalizedQuery) {
+        const haystack = `${item.name} ${(item.matchedTerms || []).join(" ")}`.toLowerCase();
+        if (!haystack.includes(normalizedQuery)) return false;
+      }
+      if (minEffectiveness && !(item.effectiveness >= minEffectiveness)) return false;
+      if (minEase && !(item.ease >= minEase)) return false;
+      return true;
+    })
+    .sort(compareBy(sortOption.id, sortOption.descending));
+
+  const pinnedOutsideList = pinned.filter(
+    ({ id }) => !items.some((item) => item.id === id)
+  );
+
+  return (
+    <div className="mt-3 border-t pt-3 text-gray-800">
+      <div className="flex flex-wrap items-end gap-3 mb-2 text-xs">
+        <label className="flex flex-col gap-1">
+          <span className="font-semibold uppercase text-gray-500">{t("interventions.sortBy")}</span>
+          <select
+            className="border rounded px-2 py-1 text-sm"
+            value={sortKey}
+            onChange={(e) => setSortKey(e.target.value)}
+          >
+            {SORT_OPTIONS.map(({ id }) => (
+              <option key={id} value={id}>
+                {t(`interventions.sort.${id}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 flex-1 min-w-[8rem]">
+          <span className="font-semibold uppercase text-gray-500">{t("interventions.filter")}</span>
+          <input
+            className="border rounded px-2 py-1 text-sm"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t("interventions.filterPlaceholder")}
+          />
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="font-semibold uppercase text-gray-500">{t("interventions.minEffectiveness")}</span>
+          <select
+            className="border rounded px-2 py-1 text-sm"
+            value={minEffectiveness}
+            onChange={(e) => setMinEffectiveness(Number(e.target.value))}
+          >
+            {[0, 2, 3, 4, 5].map((value) => (
+              <option key={value} value={value}>
+                {value ? `${value}+` : t("interventions.any")}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1">
+          <span className="font-semibold uppercase text-gray-500">{t("interventions.minEase")}</span>
+          <select
+            className="border rounded px-2 py-1 text-sm"
+            value={minEase}
+            onChange={(e) => setMinEase(Number(e.target.value))}
+          >
+            {[0, 2, 3, 4, 5].map((value) => (
+              <option key={value} value={value}>
+                {value ? `${value}+` : t("interventions.any")}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {visibleItems.length ? (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs uppercase text-gray-500">
+              <th className="py-1 pr-2">{t("interventions.column.intervention")}</th>
+              <th className="py-1 px-2 text-right">{t("interventions.column.cost")}</th>
+              <th className="py-1 px-2 text-right">{t("interventions.column.ease")}</th>
+              <th className="py-1 px-2 text-right">{t("interventions.column.effectiveness")}</th>
+              <th className="py-1 pl-2 text-right">{t("interventions.column.pin")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleItems.map((item) => (
+              <tr key={item.id} className="border-t align-top">
+                <td className="py-1 pr-2">
+                  <span className="font-medium">{item.name}</span>
+                  {item.matchedTerms?.length > 0 && (
+                    <span className="block text-xs text-gray-500">
+                      {t("interventions.matched", { terms: item.matchedTerms.join(", ") })}
+                    </span>
+                  )}
+                </td>
+                <td className="py-1 px-2 text-right">{formatScore(item.cost)}</td>
+                <td className="py-1 px-2 text-right">{formatScore(item.ease)}</td>
+                <td className="py-1 px-2 text-right">{formatScore(item.effectiveness)}</td>
+                <td className="py-1 pl-2 text-right">
+                  <button
+                    type="button"
+                    className={`rounded border px-2 py-0.5 text-xs ${
+                      pinnedIds.has(item.id)
+                        ? "bg-teal-600 text-white border-teal-600"
+                        : "bg-white border-gray-300 hover:border-gray-400"
+                    }`}
+                    aria-pressed={pinnedIds.has(item.id)}
+                    onClick={() => onTogglePin(item)}
+                  >
+                    {pinnedIds.has(item.id) ? t("interventions.pinned") : t("interventions.pin")}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="text-xs text-gray-500">{t("interventions.noMatches")}</p>
+      )}
+
+      {pinned.length > 0 && (
+        <div className="mt-3 text-sm">
+          <p className="text-xs font-semibold uppercase text-gray-500 mb-1">
+            {t("interventions.pinnedTitle")}
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {pinned.map((item) => (
+              <button
+                key={item.id}
+                type="button"
+                className="rounded-full border border-teal-600 px-2 py-0.5 text-xs text-teal-700 hover:bg-teal-50"
+                onClick={() => onTogglePin(item)}
+                title={t("interventions.unpin")}
+              >
+                {item.name} ✕
+              </button>
+            ))}
+          </div>
+          {pinnedOutsideList.length > 0 && (
+            <p className="text-xs text-gray-500 mt-1">
+              {t("interventions.pinnedOutside")}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+
+const SEARCH_DELAY_MS = 400;
+const MIN_QUERY_LENGTH = 3;
+
+// Suggests places as the user types when the server's Nominatim instance
+// allows it. The public instance does not, so the first typed search is
+// refused and the field then searches only on Enter or the search button.
+export default function LocationSearch({ value, onChange, onSelect, locale, t }) {
+  const [query, setQuery] = useState("");
+  const [autocomplete, setAutocomplete] = useState(true);
+  const [results, setResults] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [statusKey, setStatusKey] = useState("");
+  const blurTimeoutRef = useRef(null);
+  const searchRef = useRef(null);
+
+  useEffect(() => () => searchRef.current?.abort(), []);
+
+  const search = useCallback(async (text, { typed = false } = {}) => {
+    const trimmed = text.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setStatusKey(typed ? "" : "location.queryTooShort");
+      return;
+    }
+
+    searchRef.current?.abort();
+    const controller = new AbortController();
+    searchRef.current = controller;
+    setStatusKey("location.searching");
+    try {
+      const params = new URLSearchParams({ q: trimmed, lang: locale });
+      if (typed) params.set("autocomplete", "1");
+      const res = await fetch(`/api/geocode?${params.toString()}`, {
+        signal: controller.signal,
+      });
+      const data = await res.json();
+      if (res.status === 403 && data.autocomplete === false) {
+        setAutocomplete(false);
+        setResults([]);
+        setStatusKey("location.autocompleteOff");
+        return;
+      }
+      if (!res.ok) {
+        console.error("Location search failed:", data.error);
+        setResults([]);
+        setStatusKey("location.searchFailed");
+        return;
+      }
+      setResults(data.results || []);
+      setActiveIndex(-1);
+      setStatusKey(data.results?.length ? "" : "location.noResults");
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        console.error("Location search failed:", error);
+        setResults([]);
+        setStatusKey("location.searchFailed");
+      }
+    }
+  }, [locale]);
+
+  // Only text the user typed is searched, so values filled in from EXIF,
+  // a saved session or a picked suggestion never reopen the list.
+  useEffect(() => {
+    if (!autocomplete || !query.trim()) return;
+    const timeout = setTimeout(() => search(query, { typed: true }), SEARCH_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [query, autocomplete, search]);
+
+  useEffect(() => () => clearTimeout(blurTimeoutRef.current), []);
+
+  const close = () => {
+    setQuery("");
+    searchRef.current?.abort();
+    setResults([]);
+    setActiveIndex(-1);
+    setStatusKey("");
+  };
+
+  const choose = (result) => {
+    close();
+    onSelect(result);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Enter" && activeIndex < 0) {
+      event.preventDefault();
+      search(value);
+      return;
+    }
+    if (!results.length) return;
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      setActiveIndex((index) => (index + 1) % results.length);
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActiveIndex((index) => (index <= 0 ? results.length - 1 : index - 1));
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      choose(results[activeIndex]);
+    } else if (event.key === "Escape") {
+      close();
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div className="flex gap-2">
+        <input
+          className="border p-2 w-full"
+          value={value}
+          onChange={(e) => {
+            onChange(e.target.value);
+            setQuery(e.target.value);
+          }}
+          onKeyDown={handleKeyDown}
+          onBlur={() => {
+            blurTimeoutRef.current = setTimeout(close, 150);
+          }}
+          placeholder={t("location.placeholder")}
+          role="combobox"
+          aria-expanded={results.length > 0}
+          aria-controls="location-suggestions"
+          aria-autocomplete="list"
+          aria-activedescendant={activeIndex >= 0 ? `location-suggestion-${activeIndex}` : undefined}
+        />
+        <button
+          type="button"
+          className="rounded border border-gray-300 px-3 py-2 text-sm text-gray-700 hover:border-gray-400"
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => search(value)}
+        >
+          {t("location.search")}
+        </button>
+      </div>
+      {results.length > 0 && (
+        <ul
+          id="location-suggestions"
+          role="listbox"
+          className="absolute z-10 mt-1 w-full max-h-60 overflow-auto rounded border bg-white text-sm text-gray-800 shadow"
+        >
+          {results.map((result, index) => (
+            <li
+              key={`${result.lat},${result.lon},${result.displayName}`}
+              id={`location-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`cursor-pointer px-3 py-2 ${
+                index === activeIndex ? "bg-teal-50" : "hover:bg-gray-50"
+              }`}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(result)}
+            >
+              {result.displayName}
+            </li>
+          ))}
+        </ul>
+      )}
+      {statusKey && <p className="text-xs text-gray-500 mt-1">{t(statusKey)}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+export class ProviderError extends Error {
+  constructor(message, { status = 502, code = "upstream", payload = null } = {}) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.code = code;
+    this.payload = payload;
+  }
+}
+
+export const isEmptyOutputError = (error) =>
+  error instanceof ProviderError && error.code === "empty";
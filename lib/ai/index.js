@@ -0,0 +1,100 @@
+import { isMockMode } from "../mock";
+import { createGeminiProvider } from "./providers/gemini";
+import { createMockProvider } from "./providers/mock";
+import { createOpenAIProvider } from "./providers/openai";
+
+export { ProviderError, isEmptyOutputError } from "./errors";
+
+export const CAPABILITIES = ["text", "vision", "image"];
+
+const DEFAULT_PROVIDERS = {
+  text: "openai",
+  vision: "openai",
+  image: "gemini",
+};
+
+const PROVIDER_ENV_KEYS = {
+  text: "AI_TEXT_PROVIDER",
+  vision: "AI_VISION_PROVIDER",
+  image: "AI_IMAGE_PROVIDER",
+};
+
+const PROVIDER_FACTORIES = {
+  openai: () =>
+    createOpenAIProvider({
+      apiKey: process.env.OPENAI_API_KEY,
+      baseUrl: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+      visionEndpoint: process.env.OPENAI_VISION_ENDPOINT,
+      models: {
+        text: process.env.OPENAI_TEXT_MODEL || "gpt-4o-mini",
+        vision: process.env.OPENAI_VISION_MODEL || "gpt-4o-mini",
+        image: process.env.OPENAI_IMAGE_MODEL || "gpt-image-1",
+      },
+      missingConfig: process.env.OPENAI_API_KEY
+        ? null
+        : "OPENAI_API_KEY is not configured on the server.",
+    }),
+  gemini: () =>
+    createGeminiProvider({
+      apiKey: process.env.GEMINI_API_KEY,
+      baseUrl: process.env.GEMINI_BASE_URL,
+      models: {
+        text: process.env.GEMINI_TEXT_MODEL || "gemini-2.0-flash",
+        vision: process.env.GEMINI_VISION_MODEL || "gemini-2.0-flash",
+        image: process.env.GEMINI_IMAGE_MODEL || "gemini-2.0-flash-exp",
+      },
+      missingConfig: process.env.GEMINI_API_KEY
+        ? null
+        : "GEMINI_API_KEY is not configured on the server.",
+    }),
+  local: () =>
+    createOpenAIProvider({
+      name: "local",
+      apiKey: process.env.LOCAL_AI_API_KEY,
+      baseUrl: process.env.LOCAL_AI_BASE_URL,
+      models: {
+        text: process.env.LOCAL_AI_TEXT_MODEL,
+        vision: process.env.LOCAL_AI_VISION_MODEL || process.env.LOCAL_AI_TEXT_MODEL,
+        image: process.env.LOCAL_AI_IMAGE_MODEL,
+      },
+      missingConfig: process.env.LOCAL_AI_BASE_URL
+        ? null
+        : "LOCAL_AI_BASE_URL is not configured on the server.",
+    }),
+  mock: createMockProvider,
+};
+
+const providerCache = new Map();
+
+export const resolveProviderName = (capability) => {
+  if (isMockMode()) return "mock";
+  return (
+    process.env[PROVIDER_ENV_KEYS[capability]] ||
+    process.env.AI_PROVIDER ||
+    DEFAULT_PROVIDERS[capability]
+  ).toLowerCase();
+};
+
+/**
+ * Returns the provider configured for a capability ("text", "vision" or
+ * "image"). Each capability can point at a different backend.
+ */
+export const getProvider = (capability) => {
+  if (!CAPABILITIES.includes(capability)) {
+    throw new Error(`Unknown AI capability: ${capability}`);
+  }
+
+  const providerName = resolveProviderName(capability);
+  const factory = PROVIDER_FACTORIES[providerName];
+  if (!factory) {
+    return {
+      name: providerName,
+      missingConfig: `Unknown AI provider "${providerName}" configured for ${capability}.`,
+    };
+  }
+
+  if (!providerCache.has(providerName)) {
+    providerCache.set(providerName, factory());
+  }
+  return providerCache.get(providerName);
+};
@@ -0,0 +1,146 @@
+import { ProviderError } from "../errors";
+
+const getInlineData = (part) => {
+  if (!part) return null;
+  const inlineData = part.inline_data || part.inlineData;
+  if (!inlineData || typeof inlineData !== "object") return null;
+  const mimeType = inlineData.mime_type || inlineData.mimeType || "";
+  const data = inlineData.data;
+  if (typeof data !== "string") return null;
+  return { data, mimeType };
+};
+
+const pickCandidate = (data) =>
+  data?.candidates?.find(
+    (item) => item?.finishReason === "STOP" || item?.finishReason === "MAX_TOKENS"
+  ) || data?.candidates?.[0];
+
+const pickImagePart = (candidate) => {
+  if (!candidate?.content?.parts) return null;
+  for (const part of candidate.content.parts) {
+    const inlineData = getInlineData(part);
+    if (inlineData && /^image\//.test(inlineData.mimeType)) {
+      return inlineData;
+    }
+  }
+  return null;
+};
+
+const pickText = (candidate) =>
+  (candidate?.content?.parts || [])
+    .map((part) => part.text)
+    .filter(Boolean)
+    .join(" ")
+    .trim();
+
+const toInlinePart = ({ mimeType, data }) => ({ inlineData: { mimeType, data } });
+
+export const createGeminiProvider = ({
+  apiKey,
+  baseUrl = "https://generativelanguage.googleapis.com/v1beta",
+  models = {},
+  missingConfig = null,
+}) => {
+  const generateContent = async (model, body) => {
+    const response = await fetch(
+      `${baseUrl}/models/${model}:generateContent?key=${apiKey}`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(body),
+      }
+    );
+
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw new ProviderError("Gemini request failed.", {
+        status: response.status,
+        payload,
+      });
+    }
+
+    return pickCandidate(await response.json());
+  };
+
+  const requestText = async ({ model, system, parts, temperature, maxTokens }) => {
+    const candidate = await generateContent(model, {
+      systemInstruction: { parts: [{ text: system }] },
+      contents: [{ role: "user", parts }],
+      generationConfig: {
+        temperature,
+        maxOutputTokens: maxTokens,
+      },
+    });
+    const text = pickText(candidate);
+    if (!text) {
+      throw new ProviderError("Gemini returned no text.", {
+        code: "empty",
+        payload: candidate,
+      });
+    }
+    return text;
+  };
+
+  const generateText = ({ system, prompt, temperature = 0.6, maxTokens = 180 }) =>
+    requestText({
+      model: models.text,
+      system,
+      parts: [{ text: prompt }],
+      temperature,
+      maxTokens,
+    });
+
+  const describeImage = ({ system, prompt, image, temperature = 0.2, maxTokens = 200 }) =>
+    requestText({
+      model: models.vision,
+      system,
+      parts: [{ text: prompt }, toInlinePart(image)],
+      temperature,
+      maxTokens,
+    });
+
+  const editImage = async ({ prompt, mode, image, mask }) => {
+    const parts = [{ text: prompt }, toInlinePart(image)];
+    if (mode === "inpainting" && mask) {
+      parts.push(toInlinePart(mask));
+      parts.push({
+        text: "Respect the mask: white pixels mark the areas to modify. Leave black areas unchanged.",
+      });
+    } else {
+      parts.push({
+        text: "Use this composite sketch as a reference and enhance it realistically.",
+      });
+    }
+
+    const candidate = await generateContent(models.image, {
+      contents: [
+        {
+          role: "user",
+          parts,
+        },
+      ],
+      generationConfig: {
+        temperature: 0.65,
+        topP: 0.8,
+        topK: 32,
+        maxOutputTokens: 2048,
+      },
+    });
+
+    const imagePart = pickImagePart(candidate);
+    if (!imagePart) {
+      throw new ProviderError("Gemini returned no image.", {
+        code: "empty",
+        payload: candidate,
+      });
+    }
+    return {
+      data: imagePart.data,
+      mimeType: imagePart.mimeType || "image/png",
+    };
+  };
+
+  return { name: "gemini", missingConfig, generateText, describeImage, editImage };
+};
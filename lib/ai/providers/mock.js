@@ -0,0 +1,158 @@
+import jpeg from "jpeg-js";
+import { ProviderError } from "../errors";
+import { decodePng, encodePng } from "../../png";
+import { hashOf, pickDeterministic } from "../../mock";
+
+const PLACEHOLDER_WIDTH = 512;
+const PLACEHOLDER_HEIGHT = 384;
+const PLACEHOLDER_TINT = 0.35;
+
+const PROPOSAL_FIXTURES = [
+  "Terrace the courtyard edge into rain-garden steps with woven reed seating, stepping logs and shade sails so children can play while stormwater soaks away.",
+  "Lay permeable play paths of laterite blocks between papyrus beds, adding a bamboo balance trail and a shaded bench for caregivers.",
+  "Turn the low corner into a seasonal splash basin lined with native reeds, linked by a raised boardwalk loop and a timber lookout.",
+  "Plant a shade grove of native trees around a sand-and-log play pocket, with a rain chain feeding a small cistern for water play.",
+];
+
+const VULNERABILITY_FIXTURES = [
+  "Standing water collects across the courtyard after storms, cutting children off from the play corner and forcing families onto the muddy road edge.",
+  "Unshaded hardstanding heats up by midday, so children and older residents abandon the open space until evening.",
+];
+
+const DESCRIPTION_FIXTURES = [
+  "A compacted earth courtyard framed by low brick houses, with scattered shrubs and a shallow drainage channel. Overcast sky, a few people near the entrance.",
+  "An open lot beside a wetland edge with reeds, puddles and a dirt footpath. Bright daylight, children playing near a tree.",
+];
+
+const throwIfSimulated = (simulatedError) => {
+  if (!simulatedError) return;
+  throw new ProviderError("Simulated provider failure.", {
+    status: simulatedError.status,
+    code: simulatedError.code,
+    payload: { mock: true },
+  });
+};
+
+const hslToRgb = (hue, saturation, lightness) => {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const segment = hue / 60;
+  const x = chroma * (1 - Math.abs((segment % 2) - 1));
+  const [r, g, b] =
+    segment < 1 ? [chroma, x, 0]
+      : segment < 2 ? [x, chroma, 0]
+        : segment < 3 ? [0, chroma, x]
+          : segment < 4 ? [0, x, chroma]
+            : segment < 5 ? [x, 0, chroma]
+              : [chroma, 0, x];
+  const offset = lightness - chroma / 2;
+  return [r, g, b].map((channel) => Math.round((channel + offset) * 255));
+};
+
+// Decodes a PNG or JPEG input (the browser sends photo previews as JPEG)
+// to RGBA pixels for the placeholder. Other formats give null.
+const decodeInput = (input) => {
+  if (!input?.data) return null;
+  try {
+    const buffer = Buffer.from(input.data, "base64");
+    if (input.mimeType === "image/png") return decodePng(buffer);
+    if (input.mimeType === "image/jpeg") {
+      return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+    }
+    return null;
+  } catch (error) {
+    console.error("Mock image decode failed:", error);
+    return null;
+  }
+};
+
+// Offset of the source pixel nearest to (x, y) in a width × height output.
+const sampleOffset = (image, x, y, width, height) => {
+  const sourceX = Math.min(image.width - 1, Math.floor((x * image.width) / width));
+  const sourceY = Math.min(image.height - 1, Math.floor((y * image.height) / height));
+  return (sourceY * image.width + sourceX) * 4;
+};
+
+/**
+ * Draws the mock concept image. A PNG or JPEG input shows through under a
+ * striped tint; any other input is replaced by the stripes alone. The edited region
+ * is painted in an accent colour: the white part of the mask in inpainting
+ * mode, or a block placed from the request hash otherwise. Colours and
+ * placement come from that hash, so identical requests return identical
+ * images.
+ */
+const renderPlaceholder = (seed, { image, mask }) => {
+  const source = decodeInput(image);
+  const maskImage = decodeInput(mask);
+  const width = source?.width || maskImage?.width || PLACEHOLDER_WIDTH;
+  const height = source?.height || maskImage?.height || PLACEHOLDER_HEIGHT;
+  const hue = seed.readUInt16BE(0) % 360;
+  const stripeWidth = 16 + (seed[2] % 24);
+  const base = hslToRgb(hue, 0.45, 0.55);
+  const accent = hslToRgb((hue + 150) % 360, 0.6, 0.45);
+  const highlight = {
+    x: seed[3] % Math.ceil(width / 2),
+    y: seed[4] % Math.ceil(height / 2),
+    width: width / 3,
+    height: height / 3,
+  };
+
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const shade = Math.floor((x + y) / stripeWidth) % 2 === 0 ? 1 : 0.85;
+      const marked = maskImage
+        ? maskImage.data[sampleOffset(maskImage, x, y, width, height)] / 255
+        : x >= highlight.x &&
+            x < highlight.x + highlight.width &&
+            y >= highlight.y &&
+            y < highlight.y + highlight.height
+          ? 1
+          : 0;
+      const sourceOffset = source ? sampleOffset(source, x, y, width, height) : 0;
+      const offset = (y * width + x) * 4;
+      for (let channel = 0; channel < 3; channel += 1) {
+        const tint = base[channel] * shade;
+        const background = source
+          ? source.data[sourceOffset + channel] * (1 - PLACEHOLDER_TINT) +
+            tint * PLACEHOLDER_TINT
+          : tint;
+        data[offset + channel] =
+          background * (1 - marked) + accent[channel] * shade * marked;
+      }
+      data[offset + 3] = 255;
+    }
+  }
+  return encodePng({ width, height, data });
+};
+
+export const createMockProvider = () => {
+  const generateText = async ({ prompt = "", simulatedError }) => {
+    throwIfSimulated(simulatedError);
+    const fixtures = /vulnerability/i.test(prompt)
+      ? VULNERABILITY_FIXTURES
+      : PROPOSAL_FIXTURES;
+    return pickDeterministic(fixtures, prompt);
+  };
+
+  const describeImage = async ({ image, simulatedError }) => {
+    throwIfSimulated(simulatedError);
+    return pickDeterministic(DESCRIPTION_FIXTURES, image?.data);
+  };
+
+  const editImage = async ({ prompt, mode, image, mask, simulatedError }) => {
+    throwIfSimulated(simulatedError);
+    const seed = hashOf(mode, image?.data, mask?.data, prompt);
+    return {
+      data: renderPlaceholder(seed, { image, mask }).toString("base64"),
+      mimeType: "image/png",
+    };
+  };
+
+  return {
+    name: "mock",
+    missingConfig: null,
+    generateText,
+    describeImage,
+    editImage,
+  };
+};
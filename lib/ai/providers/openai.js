@@ -0,0 +1,156 @@
+import { ProviderError } from "../errors";
+import { decodePng, encodePng } from "../../png";
+
+const readMessageText = (content) =>
+  Array.isArray(content)
+    ? content
+        .map((part) => part.text)
+        .filter(Boolean)
+        .join(" ")
+        .trim()
+    : typeof content === "string"
+      ? content.trim()
+      : "";
+
+const toBlob = ({ mimeType, data }) =>
+  new Blob([Buffer.from(data, "base64")], { type: mimeType });
+
+const fileNameFor = (basename, { mimeType }) =>
+  `${basename}.${mimeType.split("/")[1] || "png"}`;
+
+// OpenAI-style edits expect transparent pixels where the image may change,
+// while the app's masks are white-on-black.
+const toAlphaMask = (mask) => {
+  if (mask.mimeType !== "image/png") {
+    throw new ProviderError("Inpainting masks must be PNG images.", {
+      status: 400,
+      code: "invalid_input",
+    });
+  }
+  const { width, height, data } = decodePng(Buffer.from(mask.data, "base64"));
+  const alphaMask = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    const luminance = (data[i] + data[i + 1] + data[i + 2]) / 3;
+    alphaMask[i + 3] = luminance > 127 ? 0 : 255;
+  }
+  return {
+    mimeType: "image/png",
+    data: encodePng({ width, height, data: alphaMask }).toString("base64"),
+  };
+};
+
+export const createOpenAIProvider = ({
+  name = "openai",
+  apiKey,
+  baseUrl = "https://api.openai.com/v1",
+  visionEndpoint,
+  models = {},
+  missingConfig = null,
+}) => {
+  const authHeaders = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  const chat = async ({ endpoint, model, messages, temperature, maxTokens }) => {
+    const response = await fetch(endpoint || `${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...authHeaders,
+      },
+      body: JSON.stringify({
+        model,
+        temperature,
+        max_tokens: maxTokens,
+        messages,
+      }),
+    });
+
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw new ProviderError(`${name} chat completion failed.`, {
+        status: response.status,
+        payload,
+      });
+    }
+
+    const data = await response.json();
+    const text = readMessageText(data?.choices?.[0]?.message?.content);
+    if (!text) {
+      throw new ProviderError(`${name} returned no text.`, {
+        code: "empty",
+        payload: data,
+      });
+    }
+    return text;
+  };
+
+  const generateText = ({ system, prompt, temperature = 0.6, maxTokens = 180 }) =>
+    chat({
+      model: models.text,
+      temperature,
+      maxTokens,
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: prompt },
+      ],
+    });
+
+  const describeImage = ({ system, prompt, image, temperature = 0.2, maxTokens = 200 }) =>
+    chat({
+      endpoint: visionEndpoint,
+      model: models.vision,
+      temperature,
+      maxTokens,
+      messages: [
+        { role: "system", content: system },
+        {
+          role: "user",
+          content: [
+            { type: "text", text: prompt },
+            {
+              type: "image_url",
+              image_url: { url: `data:${image.mimeType};base64,${image.data}` },
+            },
+          ],
+        },
+      ],
+    });
+
+  const editImage = async ({ prompt, mode, image, mask }) => {
+    const form = new FormData();
+    form.append("model", models.image);
+    form.append("prompt", prompt);
+    form.append("image", toBlob(image), fileNameFor("image", image));
+    if (mode === "inpainting" && mask) {
+      form.append("mask", toBlob(toAlphaMask(mask)), "mask.png");
+    }
+    if (/^dall-e/.test(models.image)) {
+      form.append("response_format", "b64_json");
+    }
+
+    const response = await fetch(`${baseUrl}/images/edits`, {
+      method: "POST",
+      headers: authHeaders,
+      body: form,
+    });
+
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw new ProviderError(`${name} image edit failed.`, {
+        status: response.status,
+        payload,
+      });
+    }
+
+    const data = await response.json();
+    const imageData = data?.data?.[0]?.b64_json;
+    if (!imageData) {
+      throw new ProviderError(`${name} returned no image.`, {
+        code: "empty",
+        payload: data,
+      });
+    }
+    return { data: imageData, mimeType: "image/png" };
+  };
+
+  return { name, missingConfig, generateText, describeImage, editImage };
+};
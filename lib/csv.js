@@ -0,0 +1,60 @@
+export const escapeCsvCell = (cell) => {
+  const str = String(cell ?? "");
+  if (/[,"\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+};
+
+export const formatCsv = (rows) =>
+  rows.map((row) => row.map(escapeCsvCell).join(",")).join("\n");
+
+export const parseCsv = (text = "") => {
+  const source = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+
+export const parseCsvObjects = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map((key) => key.trim());
+  return rows.map((cells) =>
+    Object.fromEntries(keys.map((key, index) => [key, (cells[index] ?? "").trim()]))
+  );
+};
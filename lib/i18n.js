@@ -0,0 +1,57 @@
+import en from "../locales/en.json";
+import fr from "../locales/fr.json";
+import mg from "../locales/mg.json";
+import sw from "../locales/sw.json";
+
+export const LOCALES = [
+  { code: "en", label: "English" },
+  { code: "fr", label: "Français" },
+  { code: "mg", label: "Malagasy" },
+  { code: "sw", label: "Kiswahili" },
+];
+
+export const DEFAULT_LOCALE = "en";
+export const LOCALE_STORAGE_KEY = "playful-locale";
+
+const CATALOGS = { en, fr, mg, sw };
+
+export const isSupportedLocale = (code) => Object.hasOwn(CATALOGS, code);
+
+/**
+ * Returns `t(key, params)` for a locale. Missing keys fall back to the
+ * English catalog and then to the key itself; `{name}` placeholders are
+ * filled from `params`.
+ */
+export const createTranslator = (locale) => {
+  const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+  return (key, params = {}) => {
+    const message = catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      params[name] === undefined ? placeholder : String(params[name])
+    );
+  };
+};
+
+/**
+ * Translates a stored status: a locale key, or `{ key, params }` when the
+ * message has placeholders. Statuses keep keys rather than text so they
+ * follow a locale switch.
+ */
+export const translateStatus = (t, status) =>
+  typeof status === "string" ? t(status) : t(status.key, status.params);
+
+const RESPONSE_ERROR_KEYS = {
+  404: "errors.notFound",
+  413: "errors.tooLarge",
+  429: "errors.rateLimited",
+  502: "errors.upstream",
+  503: "errors.unavailable",
+};
+
+/**
+ * The locale key for a failed API response. Route `error` strings are
+ * English and meant for logs, so the interface picks its message from the
+ * HTTP status and falls back to `fallbackKey`.
+ */
+export const responseErrorKey = (status, fallbackKey) =>
+  RESPONSE_ERROR_KEYS[status] || fallbackKey;
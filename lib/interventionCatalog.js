@@ -0,0 +1,242 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { parseCsvObjects } from "./csv";
+import { isMockMode, mockInterventionRecords, mockResponse } from "./mock";
+
+const AIRTABLE_API_KEY = process.env.AIRTABLE_API_KEY;
+const AIRTABLE_BASE_ID = process.env.AIRTABLE_BASE_ID;
+const AIRTABLE_TABLE_ID =
+  process.env.AIRTABLE_TABLE_ID || process.env.AIRTABLE_TABLE_NAME;
+const AIRTABLE_PAGE_SIZE = 100;
+const AIRTABLE_MAX_PAGES = 200;
+
+const CATALOG_SOURCE = (
+  process.env.INTERVENTION_CATALOG_SOURCE ||
+  (process.env.INTERVENTION_CATALOG_PATH ? "file" : "airtable")
+).toLowerCase();
+const CATALOG_PATH = process.env.INTERVENTION_CATALOG_PATH
+  ? path.resolve(process.env.INTERVENTION_CATALOG_PATH)
+  : null;
+
+const DEFAULT_CACHE_TTL_SECONDS = 900;
+
+// A blank or non-numeric TTL falls back to the default instead of silently
+// turning the cache off.
+const parseCacheTtlSeconds = (value) => {
+  const seconds = value?.trim() ? Number(value) : Number.NaN;
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_CACHE_TTL_SECONDS;
+};
+
+const CATALOG_CACHE_TTL_MS =
+  parseCacheTtlSeconds(process.env.INTERVENTION_CACHE_TTL_SECONDS) * 1000;
+const CATALOG_CACHE_FILE = process.env.INTERVENTION_CACHE_FILE
+  ? path.resolve(process.env.INTERVENTION_CACHE_FILE)
+  : null;
+
+export class CatalogError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = "CatalogError";
+    this.status = status;
+  }
+}
+
+let memoryCache = null;
+let pendingLoad = null;
+
+const isFresh = (entry) =>
+  Boolean(entry) && Date.now() - entry.fetchedAt < CATALOG_CACHE_TTL_MS;
+
+const readDiskCache = async () => {
+  if (!CATALOG_CACHE_FILE) return null;
+  try {
+    const entry = JSON.parse(await fs.readFile(CATALOG_CACHE_FILE, "utf8"));
+    return Array.isArray(entry?.records) ? entry : null;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Intervention cache read failed:", error);
+    }
+    return null;
+  }
+};
+
+const writeDiskCache = async (entry) => {
+  if (!CATALOG_CACHE_FILE) return;
+  try {
+    await fs.mkdir(path.dirname(CATALOG_CACHE_FILE), { recursive: true });
+    await fs.writeFile(CATALOG_CACHE_FILE, JSON.stringify(entry), "utf8");
+  } catch (error) {
+    console.error("Intervention cache write failed:", error);
+  }
+};
+
+const fetchAirtablePage = (offset, simulatedError) => {
+  if (isMockMode()) {
+    return mockResponse({ records: mockInterventionRecords() }, simulatedError);
+  }
+
+  const airtableUrl = new URL(
+    `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${encodeURIComponent(
+      AIRTABLE_TABLE_ID
+    )}`
+  );
+  airtableUrl.searchParams.set("pageSize", `${AIRTABLE_PAGE_SIZE}`);
+  if (offset) airtableUrl.searchParams.set("offset", offset);
+
+  return fetch(airtableUrl, {
+    headers: {
+      Authorization: `Bearer ${AIRTABLE_API_KEY}`,
+    },
+  });
+};
+
+const fetchAirtableRecords = async (simulatedError) => {
+  const records = [];
+  let offset = null;
+  let pages = 0;
+
+  do {
+    const response = await fetchAirtablePage(offset, simulatedError);
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      console.error("Airtable lookup failed:", payload);
+      throw new CatalogError(
+        "Unable to fetch interventions from Airtable.",
+        response.status
+      );
+    }
+
+    const data = await response.json();
+    records.push(...(data?.records || []));
+    offset = data?.offset || null;
+    pages += 1;
+  } while (offset && pages < AIRTABLE_MAX_PAGES);
+
+  if (offset) {
+    console.error(
+      `Airtable catalog truncated after ${AIRTABLE_MAX_PAGES} pages of ${AIRTABLE_PAGE_SIZE} records.`
+    );
+  }
+
+  return records;
+};
+
+const toRecord = (entry, index) =>
+  entry && typeof entry.fields === "object"
+    ? { id: entry.id || `local-${index + 1}`, fields: entry.fields }
+    : { id: entry?.id || entry?.ID || `local-${index + 1}`, fields: entry || {} };
+
+const readLocalRecords = async (format) => {
+  let text;
+  try {
+    text = await fs.readFile(CATALOG_PATH, "utf8");
+  } catch (error) {
+    console.error("Local intervention catalog read failed:", error);
+    throw new CatalogError("Unable to read the local intervention catalog.");
+  }
+
+  try {
+    if (format === "csv") {
+      return parseCsvObjects(text).map(toRecord);
+    }
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data) ? data : data?.records;
+    if (!Array.isArray(entries)) {
+      throw new Error("Expected an array of interventions or a { records } object.");
+    }
+    return entries.map(toRecord);
+  } catch (error) {
+    console.error("Local intervention catalog is invalid:", error);
+    throw new CatalogError("The local intervention catalog could not be parsed.");
+  }
+};
+
+const localFormat = () => {
+  if (CATALOG_SOURCE === "json" || CATALOG_SOURCE === "csv") return CATALOG_SOURCE;
+  return /\.csv$/i.test(CATALOG_PATH || "") ? "csv" : "json";
+};
+
+const CATALOG_SOURCES = {
+  airtable: {
+    persistent: true,
+    configError: () =>
+      isMockMode() || (AIRTABLE_API_KEY && AIRTABLE_BASE_ID && AIRTABLE_TABLE_ID)
+        ? null
+        : "Airtable credentials are missing. Please set AIRTABLE_API_KEY, AIRTABLE_BASE_ID, and AIRTABLE_TABLE_ID.",
+    fetchRecords: fetchAirtableRecords,
+  },
+  file: {
+    persistent: false,
+    configError: () =>
+      CATALOG_PATH
+        ? null
+        : "INTERVENTION_CATALOG_PATH must point to a JSON or CSV intervention catalog.",
+    fetchRecords: () => readLocalRecords(localFormat()),
+  },
+};
+CATALOG_SOURCES.json = CATALOG_SOURCES.file;
+CATALOG_SOURCES.csv = CATALOG_SOURCES.file;
+
+const activeSource = () => CATALOG_SOURCES[CATALOG_SOURCE];
+
+export const getCatalogConfigError = () => {
+  const source = activeSource();
+  if (!source) {
+    return `Unknown INTERVENTION_CATALOG_SOURCE "${CATALOG_SOURCE}". Use airtable, json or csv.`;
+  }
+  return source.configError();
+};
+
+// Mock fixtures never reach the cache file shared with real Airtable data.
+const usesDiskCache = () => activeSource().persistent && !isMockMode();
+
+const fetchEntry = async (simulatedError) => ({
+  records: await activeSource().fetchRecords(simulatedError),
+  fetchedAt: Date.now(),
+});
+
+const reload = async () => {
+  const entry = await fetchEntry();
+  memoryCache = entry;
+  if (usesDiskCache()) await writeDiskCache(entry);
+  return entry;
+};
+
+/**
+ * Returns every intervention record, served from the in-memory or disk cache
+ * while it is younger than INTERVENTION_CACHE_TTL_SECONDS. A failed refresh
+ * falls back to the stale cache when there is one. Requests with a
+ * simulated error always fetch and never touch either cache.
+ */
+export const loadCatalog = async ({ forceRefresh = false, simulatedError = null } = {}) => {
+  if (!forceRefresh && !simulatedError) {
+    if (!memoryCache && usesDiskCache()) {
+      memoryCache = await readDiskCache();
+    }
+    if (isFresh(memoryCache)) {
+      return { ...memoryCache, cached: true };
+    }
+  }
+
+  if (simulatedError) {
+    return { ...(await fetchEntry(simulatedError)), cached: false };
+  }
+
+  if (!pendingLoad) {
+    pendingLoad = reload().finally(() => {
+      pendingLoad = null;
+    });
+  }
+
+  try {
+    return { ...(await pendingLoad), cached: false };
+  } catch (error) {
+    if (!forceRefresh && memoryCache) {
+      console.error("Serving stale intervention catalog after refresh failure:", error);
+      return { ...memoryCache, cached: true, stale: true };
+    }
+    throw error;
+  }
+};
+
+export const refreshCatalog = () => loadCatalog({ forceRefresh: true });
@@ -0,0 +1,214 @@
+const KEYWORD_FIELDS = (
+  process.env.INTERVENTION_KEYWORD_FIELDS ||
+  process.env.AIRTABLE_KEYWORD_FIELDS ||
+  "Keywords,keywords,Tags,Focus"
+)
+  .split(",")
+  .map((field) => field.trim())
+  .filter(Boolean);
+
+const LOCATION_FIELDS = (
+  process.env.INTERVENTION_LOCATION_FIELDS ||
+  process.env.AIRTABLE_LOCATION_FIELDS ||
+  "Location,Region,Country"
+)
+  .split(",")
+  .map((field) => field.trim())
+  .filter(Boolean);
+
+const NUMERIC_FIELDS = [
+  ["cost", "Cost", "Average cost"],
+  ["ease", "Ease"],
+  ["effectiveness", "Effectiveness"],
+];
+
+export const DEFAULT_MATCH_LIMIT = Number(process.env.INTERVENTION_MATCH_LIMIT) || 10;
+export const MAX_MATCH_LIMIT = 50;
+const MIN_RELEVANCE = Number(process.env.INTERVENTION_MIN_RELEVANCE) || 0.08;
+
+// Records without a location apply anywhere, so they keep most of their
+// keyword relevance; records tied to another place are dropped.
+const UNSCOPED_LOCATION_STRENGTH = 0.6;
+const NO_REQUEST_LOCATION_STRENGTH = 0.8;
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "into",
+  "is", "it", "its", "of", "on", "or", "that", "the", "their", "this", "to",
+  "with", "while", "so", "can", "add", "use", "using", "make", "new", "more",
+  "le", "la", "les", "des", "de", "du", "et", "avec", "pour", "dans", "une", "un",
+]);
+
+export const normalizeTokens = (text = "") =>
+  String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .map((token) => token.trim())
+    .filter(Boolean);
+
+export const stemToken = (token) => {
+  let stem = token;
+  if (stem.length <= 3) return stem;
+  if (/ies$/.test(stem) && stem.length > 4) {
+    stem = `${stem.slice(0, -3)}y`;
+  } else if (/(sh|ch|x|z)es$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (/s$/.test(stem) && !/(ss|us|is)$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+  if (/ing$/.test(stem) && stem.length > 5) {
+    stem = stem.slice(0, -3);
+  } else if (/ed$/.test(stem) && stem.length > 4) {
+    stem = stem.slice(0, -2);
+  }
+  stem = stem.replace(/([^aeiouls])\1$/, "$1");
+  if (/e$/.test(stem) && stem.length > 4) stem = stem.slice(0, -1);
+  return stem;
+};
+
+const collectFieldTokens = (fields = {}, names = []) => {
+  const tokens = [];
+  names.forEach((key) => {
+    const value = fields[key];
+    if (!value) return;
+    const entries = Array.isArray(value) ? value : [value];
+    entries.forEach((entry) => tokens.push(...normalizeTokens(entry)));
+  });
+  return tokens;
+};
+
+// Maps each stem to the first surface form seen, so matched terms can be
+// reported the way they were written.
+const toStemMap = (tokens) => {
+  const stems = new Map();
+  tokens
+    .filter((token) => !STOPWORDS.has(token))
+    .forEach((token) => {
+      const stem = stemToken(token);
+      if (!stems.has(stem)) stems.set(stem, token);
+    });
+  return stems;
+};
+
+const extractScore = (fields = {}, candidates = []) => {
+  for (const name of candidates) {
+    const value = fields[name];
+    if (value === "" || value === null || value === undefined) continue;
+    const numericValue = Number(value);
+    if (Number.isFinite(numericValue)) {
+      return numericValue;
+    }
+  }
+  return null;
+};
+
+const locationStrength = (recordLocations, requestLocations) => {
+  if (!requestLocations.size) return NO_REQUEST_LOCATION_STRENGTH;
+  if (!recordLocations.size) return UNSCOPED_LOCATION_STRENGTH;
+  let matched = 0;
+  recordLocations.forEach((_, stem) => {
+    if (requestLocations.has(stem)) matched += 1;
+  });
+  if (!matched) return 0;
+  return 0.85 + 0.15 * (matched / recordLocations.size);
+};
+
+const weightedAverages = (items) => {
+  const totals = { cost: [0, 0], ease: [0, 0], effectiveness: [0, 0] };
+  items.forEach((item) => {
+    Object.keys(totals).forEach((key) => {
+      if (!Number.isFinite(item[key])) return;
+      totals[key][0] += item[key] * item.relevance;
+      totals[key][1] += item.relevance;
+    });
+  });
+  const averageOf = ([total, weight]) =>
+    weight ? Number((total / weight).toFixed(2)) : null;
+  return {
+    cost: averageOf(totals.cost),
+    ease: averageOf(totals.ease),
+    effectiveness: averageOf(totals.effectiveness),
+  };
+};
+
+/**
+ * Ranks catalog records against the prompt with an IDF-weighted cosine over
+ * stemmed keywords, scaled by how well the record's location fits. Rare
+ * keywords ("boardwalk") count for more than ones most records share
+ * ("water").
+ */
+export const rankInterventions = (
+  records = [],
+  { prompt = "", location = "", limit = DEFAULT_MATCH_LIMIT } = {}
+) => {
+  const catalog = records.map((record) => {
+    const fields = record?.fields || {};
+    return {
+      record,
+      fields,
+      keywords: toStemMap(collectFieldTokens(fields, KEYWORD_FIELDS)),
+      locations: toStemMap(collectFieldTokens(fields, LOCATION_FIELDS)),
+    };
+  });
+
+  const documentFrequency = new Map();
+  catalog.forEach(({ keywords }) => {
+    keywords.forEach((_, stem) => {
+      documentFrequency.set(stem, (documentFrequency.get(stem) || 0) + 1);
+    });
+  });
+  const idf = (stem) =>
+    Math.log(1 + catalog.length / (1 + (documentFrequency.get(stem) || 0)));
+
+  const promptStems = toStemMap(normalizeTokens(prompt));
+  const requestLocations = toStemMap(normalizeTokens(location));
+  let promptNorm = 0;
+  promptStems.forEach((_, stem) => {
+    if (documentFrequency.has(stem)) promptNorm += idf(stem) ** 2;
+  });
+  promptNorm = Math.sqrt(promptNorm);
+
+  const ranked = [];
+  catalog.forEach(({ record, fields, keywords, locations }) => {
+    if (!keywords.size || !promptNorm) return;
+
+    let recordNorm = 0;
+    let overlap = 0;
+    const matchedTerms = [];
+    keywords.forEach((surface, stem) => {
+      const weight = idf(stem) ** 2;
+      recordNorm += weight;
+      if (promptStems.has(stem)) {
+        overlap += weight;
+        matchedTerms.push(surface);
+      }
+    });
+    if (!overlap) return;
+
+    const keywordScore = overlap / (Math.sqrt(recordNorm) * promptNorm);
+    const locationScore = locationStrength(locations, requestLocations);
+    const relevance = Number((keywordScore * locationScore).toFixed(3));
+    if (relevance < MIN_RELEVANCE) return;
+
+    ranked.push({
+      id: record.id,
+      name: fields.Name || fields.Title || "Untitled intervention",
+      cost: extractScore(fields, NUMERIC_FIELDS[0]),
+      ease: extractScore(fields, NUMERIC_FIELDS[1]),
+      effectiveness: extractScore(fields, NUMERIC_FIELDS[2]),
+      relevance,
+      matchedTerms,
+      locationMatch: Number(locationScore.toFixed(2)),
+    });
+  });
+
+  ranked.sort((a, b) => b.relevance - a.relevance || a.name.localeCompare(b.name));
+  const cappedLimit = Math.min(Math.max(1, Number(limit) || DEFAULT_MATCH_LIMIT), MAX_MATCH_LIMIT);
+  const items = ranked.slice(0, cappedLimit);
+
+  return {
+    matches: items.length,
+    totalMatches: ranked.length,
+    averages: items.length ? weightedAverages(items) : null,
+    items,
+  };
+};
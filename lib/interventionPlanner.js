@@ -0,0 +1,150 @@
+const round = (value) => Number(value.toFixed(2));
+
+// Pareto frontier of (cost, effectiveness): for every reachable effectiveness
+// total it keeps only the cheapest package. Effectiveness scores are small
+// numbers, so the frontier stays short even for the full match list.
+const buildFrontier = (items) => {
+  let frontier = [{ cost: 0, effectiveness: 0, relevance: 0, picks: [] }];
+
+  items.forEach((item, index) => {
+    const extended = frontier.map((point) => ({
+      cost: round(point.cost + item.cost),
+      effectiveness: round(point.effectiveness + item.effectiveness),
+      relevance: point.relevance + item.relevance,
+      picks: [...point.picks, index],
+    }));
+
+    const merged = [...frontier, ...extended].sort(
+      (a, b) =>
+        a.cost - b.cost ||
+        b.effectiveness - a.effectiveness ||
+        b.relevance - a.relevance
+    );
+    frontier = [];
+    merged.forEach((point) => {
+      const last = frontier[frontier.length - 1];
+      if (!last || point.effectiveness > last.effectiveness) frontier.push(point);
+    });
+  });
+
+  return frontier;
+};
+
+const bestWithin = (frontier, budget) => {
+  let best = frontier[0];
+  frontier.forEach((point) => {
+    if (point.cost <= budget + 1e-9) best = point;
+  });
+  return best;
+};
+
+const summarize = (items, point) => ({
+  items: point.picks.map((index) => items[index]),
+  totalCost: point.cost,
+  totalEffectiveness: point.effectiveness,
+});
+
+const classify = (item, minEase) => {
+  if (!Number.isFinite(item.cost)) return "unpriced";
+  if (!Number.isFinite(item.effectiveness) || item.effectiveness <= 0) {
+    return "no-effectiveness";
+  }
+  if (minEase && !(item.ease >= minEase)) return "below-min-ease";
+  return null;
+};
+
+/**
+ * Chooses the subset of matched interventions with the highest total
+ * effectiveness whose summed cost fits the budget (a 0/1 knapsack), and
+ * explains what was left out and what a little more budget or a looser ease
+ * limit would buy. Budget is in the catalog's cost units. Explanations and
+ * left-out items carry codes and numbers; the client words them per locale.
+ */
+export const planInterventions = (matches = [], { budget, minEase = 0 } = {}) => {
+  const excluded = [];
+  const eligible = [];
+  const relaxedEase = [];
+
+  matches.forEach((item) => {
+    const reason = classify(item, minEase);
+    if (reason === "below-min-ease" && item.cost <= budget) relaxedEase.push(item);
+    if (!reason && item.cost > budget) {
+      excluded.push({ ...item, reason: "over-budget" });
+    } else if (reason) {
+      excluded.push({ ...item, reason });
+    } else {
+      eligible.push(item);
+    }
+  });
+
+  const frontier = buildFrontier(eligible);
+  const bestPoint = bestWithin(frontier, budget);
+  const plan = summarize(eligible, bestPoint);
+  const chosen = new Set(bestPoint.picks);
+
+  const tradeOffs = [];
+  eligible.forEach((item, index) => {
+    if (chosen.has(index)) return;
+    const others = eligible.filter((_, otherIndex) => otherIndex !== index);
+    const withItem = bestWithin(buildFrontier(others), budget - item.cost);
+    const effectiveness = round(withItem.effectiveness + item.effectiveness);
+    tradeOffs.push({
+      ...item,
+      reason: "traded-off",
+      effectivenessWithItem: effectiveness,
+      effectivenessLoss: round(plan.totalEffectiveness - effectiveness),
+    });
+  });
+
+  const explanation = [];
+  if (plan.items.length) {
+    explanation.push({
+      code: "selected",
+      count: plan.items.length,
+      cost: plan.totalCost,
+      budget,
+      effectiveness: plan.totalEffectiveness,
+    });
+  } else {
+    explanation.push({ code: "none-fit" });
+  }
+
+  const nextPoint = frontier.find((point) => point.effectiveness > plan.totalEffectiveness);
+  if (nextPoint) {
+    explanation.push({
+      code: "raise-budget",
+      cost: nextPoint.cost,
+      effectiveness: nextPoint.effectiveness,
+    });
+  }
+
+  if (minEase && relaxedEase.length) {
+    const relaxedPoint = bestWithin(buildFrontier([...eligible, ...relaxedEase]), budget);
+    if (relaxedPoint.effectiveness > plan.totalEffectiveness) {
+      explanation.push({
+        code: "drop-min-ease",
+        minEase,
+        effectiveness: relaxedPoint.effectiveness,
+      });
+    }
+  }
+
+  const cheaperPoint = bestWithin(frontier, plan.totalCost - 1e-6);
+  if (cheaperPoint.picks.length) {
+    explanation.push({
+      code: "spend-less",
+      cost: cheaperPoint.cost,
+      effectiveness: cheaperPoint.effectiveness,
+    });
+  }
+
+  return {
+    budget,
+    minEase: minEase || null,
+    ...plan,
+    remainingBudget: round(budget - plan.totalCost),
+    explanation,
+    tradeOffs,
+    excluded,
+  };
+};
@@ -0,0 +1,109 @@
+export const LANGUAGES = [
+  {
+    code: "en",
+    label: "English",
+    words: ["the", "and", "with", "for", "of", "to", "is", "are", "this", "that", "children", "play", "water", "shade", "near", "where"],
+  },
+  {
+    code: "fr",
+    label: "French",
+    words: ["le", "la", "les", "des", "du", "et", "avec", "pour", "dans", "une", "un", "sur", "au", "aux", "est", "enfants", "jeux", "eau", "ombre", "pluie"],
+    marks: [[/[èêëîïôûùœ]/gi, 1], [/[àâç]/gi, 0.5], [/\b(qu|l|d)'/gi, 1]],
+  },
+  {
+    code: "mg",
+    label: "Malagasy",
+    words: ["ny", "sy", "ary", "izay", "ho", "tsy", "dia", "ity", "ireo", "amin", "an", "ao", "eo", "misy", "ankizy", "lalao", "rano", "orana", "tany", "hafanana", "toerana"],
+    marks: [[/\b(amin|an|ho)'ny\b/gi, 2], [/\b\w+(tra|ana|aka)\b/gi, 0.25]],
+  },
+  {
+    code: "sw",
+    label: "Swahili",
+    words: ["na", "ya", "wa", "za", "kwa", "ni", "katika", "cha", "hii", "kuna", "sana", "watoto", "maji", "mvua", "joto", "kivuli", "mahali", "kucheza", "eneo", "jua"],
+    marks: [[/\b(ku|wa|m)\w+(ika|isha|ana)\b/gi, 0.5], [/\bny[aeiou]/gi, 0.25]],
+  },
+  {
+    code: "es",
+    label: "Spanish",
+    words: ["el", "la", "los", "las", "de", "del", "y", "con", "para", "en", "que", "una", "un", "por", "es", "niños", "agua", "sombra", "lluvia", "juegos"],
+    marks: [[/ñ/gi, 2], [/[¿¡]/g, 2], [/[áíóú]/gi, 0.5]],
+  },
+  {
+    code: "pt",
+    label: "Portuguese",
+    words: ["o", "os", "as", "de", "do", "da", "dos", "das", "e", "com", "para", "em", "que", "uma", "um", "não", "são", "crianças", "água", "sombra", "chuva"],
+    marks: [[/[ãõ]/gi, 2], [/ç/gi, 0.5], [/\b\w+ção\b/gi, 1.5]],
+  },
+];
+
+const LANGUAGES_BY_CODE = new Map(LANGUAGES.map((language) => [language.code, language]));
+
+const MIN_CONFIDENCE = 0.35;
+// Roughly how many distinctive hits it takes before a guess is trusted.
+const EVIDENCE_FOR_FULL_CONFIDENCE = 4;
+
+// A word shared by several languages ("la", "de", "na") only counts for a
+// fraction of a hit in each of them.
+const WORD_WEIGHTS = (() => {
+  const owners = new Map();
+  LANGUAGES.forEach(({ code, words }) => {
+    words.forEach((word) => owners.set(word, [...(owners.get(word) || []), code]));
+  });
+  return new Map([...owners].map(([word, codes]) => [word, 1 / codes.length]));
+})();
+
+export const getLanguage = (code) => {
+  const language = LANGUAGES_BY_CODE.get(code);
+  return language ? { code: language.code, label: language.label } : null;
+};
+
+/**
+ * Scores text against every supported language using common words and
+ * characteristic spellings. Returns the best guess with a 0–1 confidence
+ * plus every candidate, or null when the text gives too little evidence.
+ */
+export const detectLanguage = (text = "") => {
+  const source = String(text);
+  const tokens = source
+    .toLowerCase()
+    .split(/[^\p{L}']+/u)
+    .flatMap((token) => token.split("'"))
+    .filter(Boolean);
+  if (!tokens.length) return null;
+
+  const scores = LANGUAGES.map(({ code, label, words, marks = [] }) => {
+    const vocabulary = new Set(words);
+    let score = 0;
+    tokens.forEach((token) => {
+      if (vocabulary.has(token)) score += WORD_WEIGHTS.get(token);
+    });
+    marks.forEach(([pattern, weight]) => {
+      score += (source.match(pattern) || []).length * weight;
+    });
+    return { code, label, score };
+  });
+
+  const total = scores.reduce((sum, { score }) => sum + score, 0);
+  if (!total) return null;
+
+  const candidates = scores
+    .map(({ code, label, score }) => {
+      const share = score / total;
+      const evidence = Math.min(1, score / EVIDENCE_FOR_FULL_CONFIDENCE);
+      return { code, label, confidence: Number((share * evidence).toFixed(2)) };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const [best] = candidates;
+  if (best.confidence < MIN_CONFIDENCE) return null;
+  return { ...best, candidates };
+};
+
+/**
+ * The language responses should use: a manual choice always wins. Detected
+ * English resolves to null because it is the models' default anyway.
+ */
+export const resolveResponseLanguage = (override, detected) => {
+  if (override && override !== "auto") return getLanguage(override);
+  return detected && detected.code !== "en" ? getLanguage(detected.code) : null;
+};
@@ -0,0 +1,201 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { getSpecies } from "./speciesCatalog";
+
+const REGIONS_DIR = path.resolve(
+  process.env.LOCATION_REGIONS_DIR || path.join(process.cwd(), "data", "regions")
+);
+const MAX_DISTANCE_KM = Number(process.env.LOCATION_HINT_MAX_DISTANCE_KM ?? 50);
+const EARTH_RADIUS_KM = 6371;
+
+const HINT_LISTS = ["playHints", "resilienceHints"];
+
+let regionsPromise = null;
+
+const normalizeText = (text = "") =>
+  String(text)
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const asStringList = (value) =>
+  Array.isArray(value) ? value.filter((entry) => typeof entry === "string" && entry.trim()) : [];
+
+const asMonthList = (value) =>
+  Array.isArray(value)
+    ? value.filter((month) => Number.isInteger(month) && month >= 1 && month <= 12)
+    : [];
+
+// GeoJSON rings are [longitude, latitude]; a MultiPolygon becomes several
+// polygons, each an outer ring followed by its holes.
+const toPolygons = (geometry) => {
+  if (geometry?.type === "Polygon") return [geometry.coordinates];
+  if (geometry?.type === "MultiPolygon") return geometry.coordinates;
+  return [];
+};
+
+const toRegions = (data, file) => {
+  const features =
+    data?.type === "FeatureCollection" ? data.features || [] : [data];
+
+  return features
+    .map((feature, index) => {
+      const properties = feature?.properties || {};
+      const polygons = toPolygons(feature?.geometry);
+      const fallbackId = `${path.basename(file, path.extname(file))}${
+        features.length > 1 ? `-${index + 1}` : ""
+      }`;
+      const region = {
+        id: properties.id || fallbackId,
+        name: properties.name || properties.id || fallbackId,
+        aliases: asStringList(properties.aliases),
+        polygons,
+      };
+      HINT_LISTS.forEach((key) => {
+        region[key] = asStringList(properties[key]);
+      });
+      const speciesIds = asStringList(properties.species);
+      region.species = getSpecies(speciesIds);
+      region.wetMonths = asMonthList(properties.wetMonths);
+      if (region.species.length !== speciesIds.length) {
+        console.error(`Location region "${region.id}" lists species missing from data/species.json.`);
+      }
+      region.aliasPatterns = [region.name, ...region.aliases].map(
+        (alias) => new RegExp(`(^|[^\\p{L}])${escapeRegExp(normalizeText(alias))}($|[^\\p{L}])`, "u")
+      );
+      return region;
+    })
+    .filter((region) => {
+      if (!region.polygons.length && !region.aliases.length) {
+        console.error(`Location region "${region.id}" in ${file} has no geometry or aliases.`);
+        return false;
+      }
+      return true;
+    });
+};
+
+const readRegions = async () => {
+  let files;
+  try {
+    files = await fs.readdir(REGIONS_DIR);
+  } catch (error) {
+    console.error("Location region registry read failed:", error);
+    return [];
+  }
+
+  const regions = [];
+  for (const file of files.filter((name) => /\.(geo)?json$/i.test(name)).sort()) {
+    try {
+      const data = JSON.parse(await fs.readFile(path.join(REGIONS_DIR, file), "utf8"));
+      regions.push(...toRegions(data, file));
+    } catch (error) {
+      console.error(`Location region file ${file} is invalid:`, error);
+    }
+  }
+  return regions;
+};
+
+export const loadRegions = () => {
+  if (!regionsPromise) {
+    regionsPromise = readRegions();
+  }
+  return regionsPromise;
+};
+
+const ringContains = (ring, longitude, latitude) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses =
+      yi > latitude !== yj > latitude &&
+      longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+const polygonContains = ([outer, ...holes], longitude, latitude) =>
+  Boolean(outer) &&
+  ringContains(outer, longitude, latitude) &&
+  !holes.some((hole) => ringContains(hole, longitude, latitude));
+
+// Distance to the nearest polygon edge on an equirectangular projection
+// centred on the point, which is accurate enough at the scale of a few
+// dozen kilometres.
+const distanceToRingKm = (ring, longitude, latitude) => {
+  const kmPerDegree = (Math.PI / 180) * EARTH_RADIUS_KM;
+  const cosLatitude = Math.cos((latitude * Math.PI) / 180);
+  const project = ([x, y]) => [
+    (x - longitude) * kmPerDegree * cosLatitude,
+    (y - latitude) * kmPerDegree,
+  ];
+
+  let nearest = Infinity;
+  for (let i = 1; i < ring.length; i += 1) {
+    const [ax, ay] = project(ring[i - 1]);
+    const [bx, by] = project(ring[i]);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared
+      ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared))
+      : 0;
+    nearest = Math.min(nearest, Math.hypot(ax + t * dx, ay + t * dy));
+  }
+  return nearest;
+};
+
+const toHint = (region, match, distanceKm = 0) => {
+  const hint = { id: region.id, name: region.name, match, distanceKm };
+  HINT_LISTS.forEach((key) => {
+    hint[key] = region[key];
+  });
+  hint.species = region.species;
+  hint.wetMonths = region.wetMonths;
+  return hint;
+};
+
+/**
+ * Finds the hint region for a typed location or a coordinate pair. A place
+ * name matching a region's name or aliases wins, then the region whose
+ * polygon contains the point, then the nearest region within
+ * LOCATION_HINT_MAX_DISTANCE_KM of the point.
+ */
+export const findRegionHint = async ({ location = "", coordinates = null } = {}) => {
+  const regions = await loadRegions();
+
+  const normalizedLocation = normalizeText(location);
+  if (normalizedLocation.trim()) {
+    const named = regions.find(({ aliasPatterns }) =>
+      aliasPatterns.some((pattern) => pattern.test(normalizedLocation))
+    );
+    if (named) return toHint(named, "alias");
+  }
+
+  if (!coordinates) return null;
+  const { latitude, longitude } = coordinates;
+
+  const containing = regions.find(({ polygons }) =>
+    polygons.some((polygon) => polygonContains(polygon, longitude, latitude))
+  );
+  if (containing) return toHint(containing, "polygon");
+
+  let nearest = null;
+  regions.forEach((region) => {
+    region.polygons.forEach(([outer]) => {
+      if (!outer) return;
+      const distanceKm = distanceToRingKm(outer, longitude, latitude);
+      if (!nearest || distanceKm < nearest.distanceKm) {
+        nearest = { region, distanceKm };
+      }
+    });
+  });
+
+  if (nearest && nearest.distanceKm <= MAX_DISTANCE_KM) {
+    return toHint(nearest.region, "nearest", Number(nearest.distanceKm.toFixed(1)));
+  }
+  return null;
+};
@@ -0,0 +1,172 @@
+export const MAX_MASK_FEATHER = 200;
+export const MAX_MASK_GROW = 200;
+
+export const DEFAULT_MASK_SETTINGS = {
+  feather: 0,
+  grow: 0,
+  invert: false,
+  fillEnclosed: false,
+};
+
+const clampInteger = (value, min, max) => {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : 0;
+};
+
+export const asMaskSettings = (value) => ({
+  feather: clampInteger(value?.feather, 0, MAX_MASK_FEATHER),
+  grow: clampInteger(value?.grow, -MAX_MASK_GROW, MAX_MASK_GROW),
+  invert: value?.invert === true,
+  fillEnclosed: value?.fillEnclosed === true,
+});
+
+// Radii are given in photo pixels; a preview rendered at another size
+// scales them so it shows the same region.
+export const scaleMaskSettings = (settings, factor) => ({
+  ...settings,
+  feather: settings.feather * factor,
+  grow: settings.grow * factor,
+});
+
+// Marks the background reachable from the image border; anything else the
+// sketch surrounds, such as the inside of an outlined shape, joins the mask.
+const fillEnclosedAreas = (mask, width, height) => {
+  const outside = new Uint8Array(mask.length);
+  const queue = new Int32Array(mask.length);
+  let head = 0;
+  let tail = 0;
+  const visit = (index) => {
+    if (mask[index] || outside[index]) return;
+    outside[index] = 1;
+    queue[tail++] = index;
+  };
+
+  for (let x = 0; x < width; x += 1) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y += 1) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+  while (head < tail) {
+    const index = queue[head++];
+    const x = index % width;
+    if (x > 0) visit(index - 1);
+    if (x < width - 1) visit(index + 1);
+    if (index >= width) visit(index - width);
+    if (index < mask.length - width) visit(index + width);
+  }
+
+  for (let i = 0; i < mask.length; i += 1) {
+    if (!outside[i]) mask[i] = 1;
+  }
+};
+
+// Two-pass chamfer distance (in pixels) to the nearest pixel whose mask
+// value equals `target`. Diagonal steps cost √2, which stays within a few
+// percent of the true Euclidean distance.
+const distanceTo = (mask, width, height, target) => {
+  const distance = new Float32Array(mask.length);
+  for (let i = 0; i < mask.length; i += 1) {
+    distance[i] = mask[i] === target ? 0 : Infinity;
+  }
+  const diagonal = Math.SQRT2;
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const i = y * width + x;
+      let d = distance[i];
+      if (!d) continue;
+      if (x > 0) d = Math.min(d, distance[i - 1] + 1);
+      if (y > 0) {
+        d = Math.min(d, distance[i - width] + 1);
+        if (x > 0) d = Math.min(d, distance[i - width - 1] + diagonal);
+        if (x < width - 1) d = Math.min(d, distance[i - width + 1] + diagonal);
+      }
+      distance[i] = d;
+    }
+  }
+  for (let y = height - 1; y >= 0; y -= 1) {
+    for (let x = width - 1; x >= 0; x -= 1) {
+      const i = y * width + x;
+      let d = distance[i];
+      if (!d) continue;
+      if (x < width - 1) d = Math.min(d, distance[i + 1] + 1);
+      if (y < height - 1) {
+        d = Math.min(d, distance[i + width] + 1);
+        if (x < width - 1) d = Math.min(d, distance[i + width + 1] + diagonal);
+        if (x > 0) d = Math.min(d, distance[i + width - 1] + diagonal);
+      }
+      distance[i] = d;
+    }
+  }
+  return distance;
+};
+
+// Grows the mask by `amount` pixels, or shrinks it when `amount` is negative.
+const growMask = (mask, width, height, amount) => {
+  if (amount > 0) {
+    const distance = distanceTo(mask, width, height, 1);
+    for (let i = 0; i < mask.length; i += 1) {
+      mask[i] = distance[i] <= amount ? 1 : 0;
+    }
+  } else if (amount < 0) {
+    const distance = distanceTo(mask, width, height, 0);
+    for (let i = 0; i < mask.length; i += 1) {
+      if (mask[i] && distance[i] <= -amount) mask[i] = 0;
+    }
+  }
+};
+
+// One box-blur pass along rows (step 1) or columns (step width), with the
+// edge pixels repeated past the border.
+const boxBlurPass = (source, target, length, count, step, stride, radius) => {
+  const size = radius * 2 + 1;
+  for (let line = 0; line < count; line += 1) {
+    const start = line * stride;
+    const at = (position) =>
+      source[start + Math.min(length - 1, Math.max(0, position)) * step];
+    let sum = 0;
+    for (let k = -radius; k <= radius; k += 1) sum += at(k);
+    for (let position = 0; position < length; position += 1) {
+      target[start + position * step] = sum / size;
+      sum += at(position + radius + 1) - at(position - radius);
+    }
+  }
+};
+
+// Three box blurs in each direction approximate a Gaussian whose soft edge
+// spans about `radius` pixels either side of the original boundary.
+const featherMask = (values, width, height, radius) => {
+  const boxRadius = Math.max(1, Math.round(radius / 3));
+  const scratch = new Float32Array(values.length);
+  for (let pass = 0; pass < 3; pass += 1) {
+    boxBlurPass(values, scratch, width, height, 1, width, boxRadius);
+    boxBlurPass(scratch, values, height, width, width, 1, boxRadius);
+  }
+};
+
+/**
+ * Turns rendered sketch pixels (RGBA, as from getImageData) into mask
+ * levels from 0 (keep) to 255 (regenerate). Any painted pixel counts as
+ * marked; enclosed areas are filled first, then the region is grown or
+ * shrunk, inverted and finally feathered.
+ */
+export const buildMaskValues = (pixels, width, height, settings = DEFAULT_MASK_SETTINGS) => {
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < mask.length; i += 1) {
+    mask[i] = pixels[i * 4 + 3] > 0 ? 1 : 0;
+  }
+
+  if (settings.fillEnclosed) fillEnclosedAreas(mask, width, height);
+  if (settings.grow) growMask(mask, width, height, settings.grow);
+
+  const values = new Float32Array(mask.length);
+  for (let i = 0; i < mask.length; i += 1) {
+    values[i] = (settings.invert ? 1 - mask[i] : mask[i]) * 255;
+  }
+  if (settings.feather >= 1) featherMask(values, width, height, settings.feather);
+
+  return Uint8ClampedArray.from(values);
+};
@@ -0,0 +1,76 @@
+import { createHash } from "crypto";
+import interventionRecords from "./fixtures/interventions.json";
+import places from "./fixtures/places.json";
+
+const SIMULATED_ERROR_HEADER = "x-mock-error";
+
+export const isMockMode = () =>
+  (process.env.MOCK_MODE || "").toLowerCase() === "true";
+
+export const hashOf = (...parts) =>
+  createHash("sha256").update(parts.map((part) => String(part ?? "")).join("|")).digest();
+
+export const pickDeterministic = (items, ...seedParts) =>
+  items[hashOf(...seedParts).readUInt32BE(0) % items.length];
+
+const parseSimulatedError = (value) => {
+  const normalized = String(value || "").trim().toLowerCase();
+  if (!normalized) return null;
+  if (normalized === "empty") return { code: "empty", status: 502 };
+  const status = Number(normalized);
+  if (Number.isInteger(status) && status >= 400 && status <= 599) {
+    return { code: "upstream", status };
+  }
+  return null;
+};
+
+/**
+ * In mock mode, a request can ask a route to behave as if its upstream
+ * failed, either with the `x-mock-error` header (a status code or "empty")
+ * or with `MOCK_ERRORS=route=status,...` for every request to that route.
+ */
+export const getSimulatedError = (req, route) => {
+  if (!isMockMode()) return null;
+  const fromHeader = parseSimulatedError(req.headers?.[SIMULATED_ERROR_HEADER]);
+  if (fromHeader) return fromHeader;
+
+  const configured = (process.env.MOCK_ERRORS || "")
+    .split(",")
+    .map((entry) => entry.split("=").map((part) => part.trim()))
+    .find(([name]) => name === route);
+  return configured ? parseSimulatedError(configured[1]) : null;
+};
+
+export const mockResponse = (body, simulatedError = null) => {
+  const failed = simulatedError?.code === "upstream";
+  const payload = failed
+    ? { error: "Simulated upstream failure." }
+    : simulatedError?.code === "empty"
+      ? {}
+      : body;
+  return new Response(JSON.stringify(payload), {
+    status: failed ? simulatedError.status : 200,
+    headers: { "Content-Type": "application/json" },
+  });
+};
+
+export const findMockPlace = (lat, lon) => {
+  const latitude = Number(lat);
+  const longitude = Number(lon);
+  const distanceTo = (place) =>
+    (Number(place.lat) - latitude) ** 2 + (Number(place.lon) - longitude) ** 2;
+  return places.reduce((closest, place) =>
+    distanceTo(place) < distanceTo(closest) ? place : closest
+  );
+};
+
+export const mockInterventionRecords = () => interventionRecords;
+
+export const searchMockPlaces = (query, limit) => {
+  const terms = String(query).toLowerCase().split(/[\s,]+/).filter(Boolean);
+  return places
+    .filter((place) =>
+      terms.every((term) => place.display_name.toLowerCase().includes(term))
+    )
+    .slice(0, limit);
+};
@@ -0,0 +1,195 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { findMockPlace, isMockMode, mockResponse } from "./mock";
+
+const PUBLIC_NOMINATIM_HOST = "nominatim.openstreetmap.org";
+
+// NOMINATIM_BASE_URL is the instance root; older setups pointed it at the
+// full /reverse endpoint, so a trailing /reverse is dropped.
+const NOMINATIM_BASE_URL = (process.env.NOMINATIM_BASE_URL || `https://${PUBLIC_NOMINATIM_HOST}`)
+  .replace(/\/+$/, "")
+  .replace(/\/reverse$/, "");
+const NOMINATIM_USER_AGENT =
+  process.env.NOMINATIM_USER_AGENT ||
+  "playful-environment-app/1.0 (mailto:you@example.com)";
+const NOMINATIM_TIMEOUT_MS = 10000;
+
+// The public instance allows one request per second across the whole app.
+const MIN_INTERVAL_MS = Number(process.env.NOMINATIM_MIN_INTERVAL_MS ?? 1000);
+const QUEUE_LIMIT = Number(process.env.NOMINATIM_QUEUE_LIMIT ?? 20);
+
+const CACHE_PRECISION = Number(process.env.REVERSE_GEOCODE_CACHE_PRECISION ?? 4);
+const CACHE_TTL_MS =
+  Number(process.env.REVERSE_GEOCODE_CACHE_TTL_SECONDS ?? 7 * 24 * 60 * 60) * 1000;
+const CACHE_MAX_ENTRIES = Number(process.env.REVERSE_GEOCODE_CACHE_MAX_ENTRIES ?? 1000);
+const CACHE_FILE = process.env.REVERSE_GEOCODE_CACHE_FILE
+  ? path.resolve(process.env.REVERSE_GEOCODE_CACHE_FILE)
+  : null;
+
+export class NominatimError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = "NominatimError";
+    this.status = status;
+  }
+}
+
+export const nominatimUrl = (endpoint) => new URL(`${NOMINATIM_BASE_URL}/${endpoint}`);
+
+/**
+ * Whether place search may run as the user types. The public instance's
+ * usage policy forbids autocomplete, so only self-hosted instances (and
+ * mock mode, which never calls out) allow it.
+ */
+export const allowsAutocomplete = () =>
+  isMockMode() || nominatimUrl("search").hostname !== PUBLIC_NOMINATIM_HOST;
+
+let queueTail = Promise.resolve();
+let queuedRequests = 0;
+let lastRequestAt = 0;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Sends a request to Nominatim through a single queue that keeps at least
+ * NOMINATIM_MIN_INTERVAL_MS between requests. Once NOMINATIM_QUEUE_LIMIT
+ * requests are waiting, new ones are rejected with a 503 rather than
+ * left to wait for minutes.
+ */
+export const queueNominatimRequest = (url) => {
+  if (queuedRequests >= QUEUE_LIMIT) {
+    return Promise.reject(
+      new NominatimError("Geocoding is busy; please try again in a moment.", 503)
+    );
+  }
+  queuedRequests += 1;
+
+  const run = async () => {
+    try {
+      const delay = lastRequestAt + MIN_INTERVAL_MS - Date.now();
+      if (delay > 0) await wait(delay);
+      lastRequestAt = Date.now();
+      return await fetch(url.toString(), {
+        headers: {
+          "User-Agent": NOMINATIM_USER_AGENT,
+          Accept: "application/json",
+        },
+        signal: AbortSignal.timeout(NOMINATIM_TIMEOUT_MS),
+      });
+    } finally {
+      queuedRequests -= 1;
+    }
+  };
+
+  const request = queueTail.then(run);
+  queueTail = request.catch(() => {});
+  return request;
+};
+
+let memoryCache = null;
+let diskWrite = Promise.resolve();
+const pendingLookups = new Map();
+
+const cacheKey = (latitude, longitude) =>
+  `${latitude.toFixed(CACHE_PRECISION)},${longitude.toFixed(CACHE_PRECISION)}`;
+
+const isFresh = (entry) =>
+  Boolean(entry) && Date.now() - entry.fetchedAt < CACHE_TTL_MS;
+
+const readDiskCache = async () => {
+  if (!CACHE_FILE) return [];
+  try {
+    const entries = JSON.parse(await fs.readFile(CACHE_FILE, "utf8"));
+    return entries && typeof entries === "object" ? Object.entries(entries) : [];
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("Reverse geocode cache read failed:", error);
+    }
+    return [];
+  }
+};
+
+const writeDiskCache = () => {
+  if (!CACHE_FILE) return;
+  const snapshot = JSON.stringify(Object.fromEntries(memoryCache));
+  diskWrite = diskWrite.then(async () => {
+    try {
+      await fs.mkdir(path.dirname(CACHE_FILE), { recursive: true });
+      const tempPath = `${CACHE_FILE}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, snapshot, "utf8");
+      await fs.rename(tempPath, CACHE_FILE);
+    } catch (error) {
+      console.error("Reverse geocode cache write failed:", error);
+    }
+  });
+};
+
+const loadCache = async () => {
+  if (!memoryCache) {
+    memoryCache = new Map((await readDiskCache()).filter(([, entry]) => isFresh(entry)));
+  }
+  return memoryCache;
+};
+
+// Map keeps insertion order, so re-inserting on every hit makes the first
+// key the least recently used one.
+const remember = (cache, key, entry) => {
+  cache.delete(key);
+  cache.set(key, entry);
+  while (cache.size > CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+const fetchReverse = async (latitude, longitude, simulatedError) => {
+  const url = nominatimUrl("reverse");
+  url.searchParams.set("format", "jsonv2");
+  url.searchParams.set("lat", String(latitude));
+  url.searchParams.set("lon", String(longitude));
+  url.searchParams.set("zoom", "14");
+  url.searchParams.set("addressdetails", "1");
+
+  const response = isMockMode()
+    ? mockResponse(findMockPlace(latitude, longitude), simulatedError)
+    : await queueNominatimRequest(url);
+
+  if (!response.ok) {
+    console.error("Reverse geocode failed:", await response.text());
+    throw new NominatimError("Reverse geocoding failed.", response.status);
+  }
+  return response.json();
+};
+
+/**
+ * Looks up the place at a coordinate pair. Results are cached under the
+ * coordinates rounded to REVERSE_GEOCODE_CACHE_PRECISION decimals, in memory
+ * and, with REVERSE_GEOCODE_CACHE_FILE, on disk across restarts. Returns
+ * `{ data, cached }` with Nominatim's response body.
+ */
+export const reverseGeocode = async (latitude, longitude, { simulatedError = null } = {}) => {
+  if (simulatedError) {
+    return { data: await fetchReverse(latitude, longitude, simulatedError), cached: false };
+  }
+
+  const cache = await loadCache();
+  const key = cacheKey(latitude, longitude);
+  const hit = cache.get(key);
+  if (isFresh(hit)) {
+    remember(cache, key, hit);
+    return { data: hit.data, cached: true };
+  }
+
+  if (!pendingLookups.has(key)) {
+    pendingLookups.set(
+      key,
+      fetchReverse(latitude, longitude)
+        .then((data) => {
+          remember(cache, key, { data, fetchedAt: Date.now() });
+          writeDiskCache();
+          return data;
+        })
+        .finally(() => pendingLookups.delete(key))
+    );
+  }
+  return { data: await pendingLookups.get(key), cached: false };
+};
@@ -0,0 +1,74 @@
+import exifr from "exifr";
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// exifr revives EXIF dates as local-time Dates; keep them as local
+// wall-clock text so the capture month never shifts with time zones.
+export const toLocalTimestamp = (date, offset) => {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return "";
+  const timestamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  return typeof offset === "string" && /^[+-]\d{2}:\d{2}$/.test(offset)
+    ? `${timestamp}${offset}`
+    : timestamp;
+};
+
+const asFiniteOrNull = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Reads what the upload flow uses from a photo's EXIF block: GPS position,
+ * capture time, orientation (1–8), compass heading and altitude in metres.
+ * Missing tags come back as null.
+ */
+export const readPhotoMetadata = async (file) => {
+  const tags =
+    (await exifr.parse(file, { gps: true, translateValues: false, reviveValues: true })) ||
+    {};
+
+  const latitude = asFiniteOrNull(tags.latitude);
+  const longitude = asFiniteOrNull(tags.longitude);
+  const altitude = asFiniteOrNull(tags.GPSAltitude);
+  const heading = asFiniteOrNull(tags.GPSImgDirection);
+  const orientation = asFiniteOrNull(tags.Orientation);
+
+  return {
+    coordinates:
+      latitude !== null && longitude !== null && (latitude || longitude)
+        ? { latitude, longitude }
+        : null,
+    capturedAt: toLocalTimestamp(
+      tags.DateTimeOriginal || tags.CreateDate || tags.ModifyDate,
+      tags.OffsetTimeOriginal || tags.OffsetTime
+    ),
+    orientation: orientation >= 1 && orientation <= 8 ? orientation : 1,
+    heading: heading === null ? null : ((heading % 360) + 360) % 360,
+    headingReference: tags.GPSImgDirectionRef === "M" ? "magnetic" : "true",
+    altitude: altitude === null ? null : tags.GPSAltitudeRef === 1 ? -altitude : altitude,
+  };
+};
+
+/**
+ * Redraws a photo with its EXIF orientation applied, so sideways phone
+ * shots are upright in the preview, the sketch canvas and every request
+ * sent to the AI providers, none of which read the orientation tag.
+ * Returns null when the browser cannot decode the file this way.
+ */
+export const orientPhoto = async (file) => {
+  if (typeof createImageBitmap !== "function") return null;
+  const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas.toDataURL(file.type === "image/png" ? "image/png" : "image/jpeg", 0.92);
+};
+
+const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+export const compassPoint = (heading) =>
+  COMPASS_POINTS[Math.round(heading / 45) % COMPASS_POINTS.length];
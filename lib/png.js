@@ -0,0 +1,143 @@
+import { deflateSync, inflateSync } from "zlib";
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const CHANNELS_BY_COLOR_TYPE = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const paeth = (left, up, upLeft) => {
+  const estimate = left + up - upLeft;
+  const distLeft = Math.abs(estimate - left);
+  const distUp = Math.abs(estimate - up);
+  const distUpLeft = Math.abs(estimate - upLeft);
+  if (distLeft <= distUp && distLeft <= distUpLeft) return left;
+  if (distUp <= distUpLeft) return up;
+  return upLeft;
+};
+
+/**
+ * Decodes an 8-bit, non-interlaced PNG (grey, grey+alpha, RGB or RGBA) into
+ * RGBA pixels. Covers what browsers produce from `canvas.toDataURL()`.
+ */
+export const decodePng = (buffer) => {
+  if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error("Not a PNG image.");
+  }
+
+  let offset = 8;
+  let header = null;
+  const idatChunks = [];
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "IDAT") {
+      idatChunks.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  const channels = CHANNELS_BY_COLOR_TYPE[header?.colorType];
+  if (!header || header.bitDepth !== 8 || header.interlace !== 0 || !channels) {
+    throw new Error("Unsupported PNG encoding.");
+  }
+
+  const { width, height } = header;
+  const raw = inflateSync(Buffer.concat(idatChunks));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(width * height * channels);
+
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    const rowStart = y * (stride + 1) + 1;
+    for (let x = 0; x < stride; x += 1) {
+      const value = raw[rowStart + x];
+      const left = x >= channels ? pixels[y * stride + x - channels] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[(y - 1) * stride + x - channels] : 0;
+      let predictor = 0;
+      if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = (left + up) >> 1;
+      else if (filter === 4) predictor = paeth(left, up, upLeft);
+      pixels[y * stride + x] = (value + predictor) & 0xff;
+    }
+  }
+
+  const rgba = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i += 1) {
+    const source = i * channels;
+    const target = i * 4;
+    if (channels <= 2) {
+      rgba[target] = pixels[source];
+      rgba[target + 1] = pixels[source];
+      rgba[target + 2] = pixels[source];
+      rgba[target + 3] = channels === 2 ? pixels[source + 1] : 255;
+    } else {
+      rgba[target] = pixels[source];
+      rgba[target + 1] = pixels[source + 1];
+      rgba[target + 2] = pixels[source + 2];
+      rgba[target + 3] = channels === 4 ? pixels[source + 3] : 255;
+    }
+  }
+
+  return { width, height, data: rgba };
+};
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+export const encodePng = ({ width, height, data }) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(
+      raw,
+      y * (stride + 1) + 1
+    );
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk("IHDR", header),
+    chunk("IDAT", deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+};
@@ -0,0 +1,321 @@
+import { getLanguage } from "./language";
+import { findRegionHint } from "./locationRegistry";
+import { deriveSeason } from "./season";
+import { detectHazard, formatSpeciesName, getSpecies, selectSpecies } from "./speciesCatalog";
+
+const TEXT_SYSTEM_PROMPT =
+  "Produce a concise (max 35 words) response about playful environments. When asked to add or adapt, share an inclusive, nature-forward idea using locally sourced natural materials, native vegetation, and relevant cultural cues. When asked to describe a vulnerability, summarise how it appears, who it affects, and how it relates to play in the scene. Mirror any requested language.";
+
+const CONCEPT_INSTRUCTION =
+  "You help urban designers imagine inclusive, climate-adaptive play spaces. Keep existing surroundings recognizable while translating the instruction into a polished concept rendering.";
+
+const MAX_INTERVENTIONS = 10;
+const MAX_SKETCH_ELEMENTS = 40;
+const MAX_SKETCH_LAYERS = 12;
+
+// How the labeled sketch tools read in a prompt.
+const SKETCH_ELEMENT_KINDS = {
+  rectangle: "outlined area",
+  lasso: "filled area",
+  arrow: "arrow",
+  text: "text label",
+  stamp: "symbol",
+};
+const USER_PROMPT_WORD_LIMIT = 80;
+
+/**
+ * Bump a template's version whenever its wording changes, so outputs that
+ * record `{ id, version }` can be compared and reproduced.
+ */
+export const PROMPT_TEMPLATES = {
+  "adaptation-play": {
+    version: 4,
+    scenarioType: "adaptation",
+    includePlay: true,
+    tag: "[Playful adaptation]",
+    cues: "playHints",
+    speciesLabel: "Child-safe native species",
+    detailFallback: "inclusive, nature-based play elements that support local families",
+    textFocus: "Describe nature-based flood/heat measures with playful touches.",
+    imageFocus: "Instruction: show climate-smart play adaptations with natural materials.",
+  },
+  "adaptation-resilience": {
+    version: 4,
+    scenarioType: "adaptation",
+    includePlay: false,
+    tag: "[Non-play resilience]",
+    cues: "resilienceHints",
+    speciesLabel: "Native species",
+    detailFallback: "climate-adaptive measures that support community resilience",
+    textFocus: "Describe nature-based flood/heat measures only.",
+    imageFocus: "Instruction: show low-impact climate adaptations; no play equipment.",
+  },
+  "vulnerability-play": {
+    version: 4,
+    scenarioType: "vulnerability",
+    includePlay: true,
+    tag: "[Vulnerability assessment]",
+    detailFallback: "the climate vulnerability currently affecting play",
+    textFocus:
+      "Describe the vulnerability, who it affects, and how it disrupts play. Do not propose interventions.",
+    imageFocus: "Instruction: describe vulnerability impacts on play only; no solutions.",
+  },
+  "vulnerability-everyday": {
+    version: 4,
+    scenarioType: "vulnerability",
+    includePlay: false,
+    tag: "[Vulnerability assessment]",
+    detailFallback: "the climate vulnerability affecting daily use",
+    textFocus:
+      "Describe the vulnerability, who it affects, and how it impacts everyday use. Do not propose interventions.",
+    imageFocus: "Instruction: describe vulnerability impacts on daily use only; no solutions.",
+  },
+};
+
+const REFINEMENT_TEMPLATE = { id: "concept-refinement", version: 1 };
+
+const asText = (value) => (typeof value === "string" ? value.trim() : "");
+
+const asTextList = (value, limit) =>
+  Array.isArray(value) ? value.map(asText).filter(Boolean).slice(0, limit) : [];
+
+const asCoordinates = (value) => {
+  const latitude = Number(value?.latitude);
+  const longitude = Number(value?.longitude);
+  return Number.isFinite(latitude) && Number.isFinite(longitude)
+    ? { latitude, longitude }
+    : null;
+};
+
+const asSketchElements = (value) =>
+  Array.isArray(value)
+    ? value
+        .filter((element) => SKETCH_ELEMENT_KINDS[element?.tool])
+        .map(({ tool, label }) => ({ tool, label: asText(label) }))
+        .filter(({ label }) => label)
+        .slice(0, MAX_SKETCH_ELEMENTS)
+    : [];
+
+const asSketchLayer = (value) => {
+  const name = asText(value?.name);
+  return name
+    ? { name, color: asText(value.color), meaning: asText(value.meaning) }
+    : null;
+};
+
+const asSketchLayers = (value) =>
+  Array.isArray(value) ? value.map(asSketchLayer).filter(Boolean).slice(0, MAX_SKETCH_LAYERS) : [];
+
+const condenseText = (text, wordLimit) => text.split(/\s+/).slice(0, wordLimit).join(" ");
+
+// Cheap string hash so the same context always gets the same local cue.
+const stableIndex = (seed, length) => {
+  let hash = 0;
+  for (let i = 0; i < seed.length; i += 1) {
+    hash = (hash * 31 + seed.charCodeAt(i)) >>> 0;
+  }
+  return hash % length;
+};
+
+const toTemplateRef = ({ id, version }) => ({ id, version });
+
+export const resolveTemplate = ({ scenarioType, includePlay }) => {
+  const [id, template] = Object.entries(PROMPT_TEMPLATES).find(
+    ([, entry]) =>
+      entry.scenarioType === (scenarioType === "vulnerability" ? "vulnerability" : "adaptation") &&
+      entry.includePlay === (includePlay !== false)
+  );
+  return { id, ...template };
+};
+
+/**
+ * Normalizes the prompt context posted by the client and resolves everything
+ * the templates draw on: the location hint region, the local cue and the
+ * species. Passing `speciesIds` pins the species chosen for an earlier prompt.
+ */
+export const preparePromptContext = async (input = {}) => {
+  const source = input && typeof input === "object" ? input : {};
+  const context = {
+    scenarioType: source.scenarioType === "vulnerability" ? "vulnerability" : "adaptation",
+    includePlay: source.includePlay !== false,
+    location: asText(source.location),
+    coordinates: asCoordinates(source.coordinates),
+    spaceDescription: asText(source.spaceDescription),
+    transformation: asText(source.transformation),
+    sketchLayers: asSketchLayers(source.sketchLayers),
+    focusLayer: asSketchLayer(source.focusLayer),
+    userPrompt: asText(source.userPrompt),
+    interventions: asTextList(source.interventions, MAX_INTERVENTIONS),
+    sketchElements: asSketchElements(source.sketchElements),
+    capturedAt: asText(source.capturedAt),
+    language: getLanguage(asText(source.language))?.label || "",
+  };
+  const template = resolveTemplate(context);
+
+  const hint = await findRegionHint({
+    location: context.location,
+    coordinates: context.coordinates,
+  });
+  const season = deriveSeason({
+    capturedAt: context.capturedAt,
+    latitude: context.coordinates?.latitude ?? null,
+    wetMonths: hint?.wetMonths,
+  });
+
+  let cue = "";
+  let species = [];
+  if (template.scenarioType === "adaptation") {
+    const cues = hint?.[template.cues] || [];
+    if (cues.length) {
+      const seed = `${template.id}|${context.location}|${context.spaceDescription}|${context.transformation}`;
+      cue = cues[stableIndex(seed, cues.length)];
+    }
+
+    const speciesIds = asTextList(source.speciesIds, 5);
+    species = speciesIds.length
+      ? getSpecies(speciesIds)
+      : selectSpecies(hint?.species || [], {
+          regionId: hint?.id,
+          hazard: detectHazard(`${context.spaceDescription} ${context.transformation}`),
+          includePlay: context.includePlay,
+        });
+  }
+
+  return { ...context, template, cue, species, season };
+};
+
+const locationLine = ({ location, coordinates }, label) => {
+  if (location) return `${label}: ${location}.`;
+  if (coordinates) {
+    return `${label === "Location" ? "Coordinates" : label}: ${coordinates.latitude.toFixed(
+      4
+    )}, ${coordinates.longitude.toFixed(4)}.`;
+  }
+  return "";
+};
+
+const seasonLine = ({ season }) =>
+  season
+    ? `Season: photographed in ${season.monthName}, during the local ${season.season} season; describe the scene as it is at that time of year.`
+    : "";
+
+const describeLayer = ({ name, color, meaning }) =>
+  `${name}${color ? ` (${color})` : ""}${meaning ? ` = ${meaning}` : ""}`;
+
+const sketchLegendLine = ({ sketchLayers }) =>
+  sketchLayers.length ? `Sketch legend: ${sketchLayers.map(describeLayer).join("; ")}.` : "";
+
+const focusLayerLine = ({ focusLayer }) =>
+  focusLayer
+    ? `Only change the area drawn on the "${focusLayer.name}" sketch layer${
+        focusLayer.meaning ? ` (${focusLayer.meaning})` : ""
+      }; keep everything else in the photo as it is.`
+    : "";
+
+// Repeated elements are counted, e.g. "tree (symbol ×3)".
+const sketchElementsLine = ({ sketchElements }) => {
+  if (!sketchElements.length) return "";
+  const groups = [];
+  sketchElements.forEach(({ tool, label }) => {
+    const group = groups.find((entry) => entry.tool === tool && entry.label === label);
+    if (group) {
+      group.count += 1;
+    } else {
+      groups.push({ tool, label, count: 1 });
+    }
+  });
+  const items = groups.map(
+    ({ tool, label, count }) =>
+      `${label} (${SKETCH_ELEMENT_KINDS[tool]}${count > 1 ? ` ×${count}` : ""})`
+  );
+  return `Sketched elements, placed where drawn: ${items.join(", ")}.`;
+};
+
+const joinSentences = (parts) =>
+  parts.filter(Boolean).join(" ").replace(/\s+/g, " ").trim();
+
+const renderTextPrompt = (context) => {
+  const { template } = context;
+  const scenarioDetail = context.transformation || template.detailFallback;
+  const imageSubject = context.spaceDescription || "the place shown in the image";
+  const mentionsRemoval = /(remove|take\s?away|no longer|get rid of)/i.test(
+    context.transformation
+  );
+
+  const mainInstruction =
+    template.scenarioType === "adaptation"
+      ? `Using the provided image of ${imageSubject}, please ${
+          mentionsRemoval ? "address" : "add"
+        } ${scenarioDetail} in the scene. Ensure the proposal respects the existing surroundings in the image.`
+      : `Using the provided image of ${imageSubject}, describe the vulnerability (${scenarioDetail}) as it appears in the scene. Ensure the description references the existing surroundings and highlights who is affected.`;
+
+  return joinSentences([
+    template.tag,
+    locationLine(context, "Location"),
+    seasonLine(context),
+    mainInstruction,
+    sketchLegendLine(context),
+    sketchElementsLine(context),
+    focusLayerLine(context),
+    template.scenarioType === "adaptation" &&
+      context.interventions.length &&
+      `Build the proposal around these catalog interventions: ${context.interventions.join(", ")}.`,
+    context.cue && `Climate adaptation hint: ${context.cue}`,
+    context.species.length &&
+      `${template.speciesLabel} to use: ${context.species.map(formatSpeciesName).join(", ")}.`,
+    template.textFocus,
+    context.language && `Respond in ${context.language}.`,
+  ]);
+};
+
+const renderImagePrompt = (context) => {
+  const { template } = context;
+  return joinSentences([
+    template.tag,
+    locationLine(context, "Context"),
+    seasonLine(context),
+    context.userPrompt &&
+      `User description: ${condenseText(context.userPrompt, USER_PROMPT_WORD_LIMIT)}.`,
+    sketchLegendLine(context),
+    sketchElementsLine(context),
+    focusLayerLine(context),
+    template.scenarioType === "adaptation" &&
+      context.interventions.length &&
+      `Interventions to show: ${context.interventions.join(", ")}.`,
+    context.cue && `Local cues: ${context.cue}`,
+    context.species.length &&
+      `Species: ${context.species.map(({ commonName }) => commonName).join(", ")}.`,
+    template.imageFocus,
+    context.language && `Respond in ${context.language}.`,
+  ]);
+};
+
+export const buildTextPrompt = async (input) => {
+  const context = await preparePromptContext(input);
+  return {
+    system: TEXT_SYSTEM_PROMPT,
+    prompt: renderTextPrompt(context),
+    template: toTemplateRef(context.template),
+    species: context.species,
+  };
+};
+
+export const buildImagePrompt = async (input) => {
+  const context = await preparePromptContext(input);
+  const instruction = renderImagePrompt(context);
+  return {
+    instruction,
+    prompt: `${CONCEPT_INSTRUCTION}\nInstruction: ${instruction}`,
+    template: toTemplateRef(context.template),
+    species: context.species,
+  };
+};
+
+export const buildRefinementPrompt = (refinement) => {
+  const instruction = asText(refinement);
+  return {
+    instruction,
+    prompt: `${CONCEPT_INSTRUCTION}\nInstruction: ${instruction}`,
+    template: toTemplateRef(REFINEMENT_TEMPLATE),
+  };
+};
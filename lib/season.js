@@ -0,0 +1,58 @@
+const TROPIC_LATITUDE = 23.44;
+
+// Rough rainy seasons for places without a registry region: the tropical
+// rain belt follows the sun, so each hemisphere is wet in its own summer.
+const NORTHERN_TROPICS_WET_MONTHS = [5, 6, 7, 8, 9, 10];
+const SOUTHERN_TROPICS_WET_MONTHS = [11, 12, 1, 2, 3, 4];
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+/**
+ * Reads the month (1–12) from a capture timestamp. Photo timestamps are
+ * kept as the camera's local time ("2025-03-12T14:05:00", optionally with
+ * an offset), so the month is taken from the text instead of a Date that
+ * would shift it into the server's time zone.
+ */
+export const captureMonth = (capturedAt) => {
+  const match = /^\d{4}-(\d{2})-\d{2}/.exec(String(capturedAt || ""));
+  const month = match ? Number(match[1]) : NaN;
+  return month >= 1 && month <= 12 ? month : null;
+};
+
+/**
+ * Works out whether a photo was taken in the local wet or dry season. A
+ * region's own `wetMonths` win; otherwise tropical latitudes use their
+ * hemisphere's rainy season. Returns null outside the tropics, where a
+ * wet/dry split does not describe the climate, or when the date is unknown.
+ */
+export const deriveSeason = ({ capturedAt, latitude = null, wetMonths = [] } = {}) => {
+  const month = captureMonth(capturedAt);
+  if (!month) return null;
+
+  let months = Array.isArray(wetMonths) && wetMonths.length ? wetMonths : null;
+  const source = months ? "region" : "latitude";
+  if (!months) {
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > TROPIC_LATITUDE) return null;
+    months = latitude >= 0 ? NORTHERN_TROPICS_WET_MONTHS : SOUTHERN_TROPICS_WET_MONTHS;
+  }
+
+  return {
+    season: months.includes(month) ? "wet" : "dry",
+    month,
+    monthName: MONTH_NAMES[month - 1],
+    source,
+  };
+};
@@ -0,0 +1,336 @@
+import { getLanguage } from "./language";
+import { asSketchContent } from "./sketch";
+
+export const SESSION_VERSION = 4;
+
+// Each entry upgrades a session from `version` to `version + 1`.
+const SESSION_MIGRATIONS = {
+  // Version 1 stored the sketch only as a flattened PNG. It is kept as the
+  // raster layer beneath the vector strokes recorded from version 2 on.
+  1: (session) => ({ ...session, sketchStrokes: [] }),
+  // Version 3 groups strokes into named layers and builds the legend from
+  // them. Each stroke color becomes a layer, and the free-text sketch notes
+  // become the first layer's meaning.
+  2: ({ drawingNotes, ...session }) => {
+    const strokes = Array.isArray(session.sketchStrokes) ? session.sketchStrokes : [];
+    const colors = [...new Set(strokes.map((stroke) => stroke?.color).filter(Boolean))];
+    const notes = asString(drawingNotes)
+      .split("\n")
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .join("; ");
+    const layers = (colors.length ? colors : [null]).map((color, index) => ({
+      id: `layer-${index + 1}`,
+      name: `Layer ${index + 1}`,
+      ...(color ? { color } : {}),
+      meaning: index === 0 ? notes : "",
+      visible: true,
+    }));
+    return {
+      ...session,
+      sketchLayers: layers,
+      sketchStrokes: strokes.map((stroke) => ({
+        ...stroke,
+        layer: `layer-${Math.max(colors.indexOf(stroke?.color), 0) + 1}`,
+      })),
+    };
+  },
+  // Version 4 may store an image that appears in several fields once and
+  // point the other fields at it (see packSessionImages). Older sessions
+  // hold every image in full, which still reads the same way.
+  3: (session) => session,
+};
+
+// `code` and `params` pick the `sessions.format.*` locale message shown to
+// the user; `message` stays in English for logs.
+export class SessionFormatError extends Error {
+  constructor(message, { code = "invalid", params = {} } = {}) {
+    super(message);
+    this.name = "SessionFormatError";
+    this.code = code;
+    this.params = params;
+  }
+}
+
+const SCENARIO_TYPES = ["adaptation", "vulnerability"];
+
+const asString = (value) => (typeof value === "string" ? value : "");
+
+const asDataUrl = (value) =>
+  typeof value === "string" && /^data:[^;]+;base64,/.test(value) ? value : null;
+
+const asCoordinates = (value) => {
+  if (!value || typeof value !== "object") return null;
+  const latitude = Number(value.latitude);
+  const longitude = Number(value.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  return { latitude, longitude };
+};
+
+const asImage = (value) => {
+  const src = asDataUrl(value?.src);
+  if (!src) return null;
+  return { src, mimeType: asString(value.mimeType) || "image/png" };
+};
+
+const asPromptTemplate = (value) => {
+  const id = asString(value?.id);
+  const version = Number(value?.version);
+  return id && Number.isInteger(version) ? { id, version } : null;
+};
+
+export const formatPromptTemplate = (template) =>
+  template ? `${template.id} v${template.version}` : "";
+
+const asConceptHistory = (value) =>
+  Array.isArray(value)
+    ? value
+        .map((entry) => {
+          const image = asImage(entry);
+          if (!image) return null;
+          return {
+            ...image,
+            prompt: asString(entry.prompt),
+            template: asPromptTemplate(entry.template),
+            mode: entry.mode === "inpainting" ? "inpainting" : "composite",
+            createdAt: asString(entry.createdAt),
+          };
+        })
+        .filter(Boolean)
+    : [];
+
+const asRefinementLog = (value) =>
+  Array.isArray(value)
+    ? value
+        .filter((entry) => entry && typeof entry.prompt === "string")
+        .map(({ prompt, timestamp }) => ({
+          prompt,
+          timestamp: asString(timestamp) || new Date().toISOString(),
+        }))
+    : [];
+
+const asNumberOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+const asPhotoMetadata = (value) => {
+  if (!value || typeof value !== "object") return null;
+  const orientation = Number(value.orientation);
+  return {
+    capturedAt: asString(value.capturedAt),
+    orientation: Number.isInteger(orientation) && orientation >= 1 && orientation <= 8 ? orientation : 1,
+    heading: asNumberOrNull(value.heading),
+    headingReference: value.headingReference === "magnetic" ? "magnetic" : "true",
+    altitude: asNumberOrNull(value.altitude),
+  };
+};
+
+export const describePhotoMetadata = (metadata) =>
+  metadata
+    ? [
+        metadata.capturedAt && `captured ${metadata.capturedAt.replace("T", " ")}`,
+        metadata.heading !== null &&
+          `facing ${Math.round(metadata.heading)}° (${metadata.headingReference} north)`,
+        metadata.altitude !== null && `altitude ${Math.round(metadata.altitude)} m`,
+      ]
+        .filter(Boolean)
+        .join(", ")
+    : "";
+
+const asPinnedInterventions = (value) =>
+  Array.isArray(value)
+    ? value
+        .filter((entry) => entry && typeof entry.name === "string")
+        .map((entry) => ({
+          id: asString(entry.id) || entry.name,
+          name: entry.name,
+          cost: asNumberOrNull(entry.cost),
+          ease: asNumberOrNull(entry.ease),
+          effectiveness: asNumberOrNull(entry.effectiveness),
+        }))
+    : [];
+
+const SPECIES_FLAGS = ["toxic", "thorny", "irritant", "providesShade"];
+const SPECIES_FIELDS = [
+  "id",
+  "scientificName",
+  "form",
+  "nativeRange",
+  "waterNeeds",
+  "shadeNeeds",
+  "floodTolerance",
+  "maintenance",
+  "notes",
+];
+
+const asSpeciesList = (value) =>
+  Array.isArray(value)
+    ? value
+        .filter((entry) => entry && typeof entry.commonName === "string")
+        .map((entry) => {
+          const species = { commonName: entry.commonName };
+          SPECIES_FIELDS.forEach((key) => {
+            species[key] = asString(entry[key]);
+          });
+          SPECIES_FLAGS.forEach((key) => {
+            species[key] = entry[key] === true;
+          });
+          species.nativeRegions = Array.isArray(entry.nativeRegions)
+            ? entry.nativeRegions.filter((region) => typeof region === "string")
+            : [];
+          return species;
+        })
+    : [];
+
+const IMAGE_REFERENCE_PREFIX = "same-as:";
+
+// Fields that hold image data URLs, in the order the first copy of a
+// repeated image is kept. References only ever point to an earlier field.
+const imagePaths = (session) => [
+  "imageSrc",
+  "sketchData",
+  "generatedImage.src",
+  ...(Array.isArray(session.conceptHistory)
+    ? session.conceptHistory.map((_, index) => `conceptHistory.${index}.src`)
+    : []),
+  "conceptSourceImage",
+  "sketchComposite",
+];
+
+const readPath = (object, path) =>
+  path.split(".").reduce((value, key) => (value ? value[key] : undefined), object);
+
+const writePath = (object, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((current, key) => (current ? current[key] : undefined), object);
+  if (parent && typeof parent === "object") parent[last] = value;
+};
+
+// Copies the containers image paths write into, so packing and unpacking
+// never modify the caller's session.
+const copyImageContainers = (session) => ({
+  ...session,
+  generatedImage:
+    session.generatedImage && typeof session.generatedImage === "object"
+      ? { ...session.generatedImage }
+      : session.generatedImage,
+  conceptHistory: Array.isArray(session.conceptHistory)
+    ? session.conceptHistory.map((entry) =>
+        entry && typeof entry === "object" ? { ...entry } : entry
+      )
+    : session.conceptHistory,
+});
+
+/**
+ * Stores each image once: the composite sent for generation is also the
+ * refinement source, and concepts reappear as the current image, so a
+ * later field holding an image already seen becomes a reference to the
+ * first field that held it. This keeps session saves within the request
+ * size limit.
+ */
+export const packSessionImages = (session) => {
+  const packed = copyImageContainers(session);
+  const seen = new Map();
+  imagePaths(packed).forEach((path) => {
+    const value = readPath(packed, path);
+    if (!asDataUrl(value)) return;
+    if (seen.has(value)) {
+      writePath(packed, path, `${IMAGE_REFERENCE_PREFIX}${seen.get(value)}`);
+    } else {
+      seen.set(value, path);
+    }
+  });
+  return packed;
+};
+
+export const unpackSessionImages = (session) => {
+  const unpacked = copyImageContainers(session);
+  imagePaths(unpacked).forEach((path) => {
+    const value = readPath(unpacked, path);
+    if (typeof value !== "string" || !value.startsWith(IMAGE_REFERENCE_PREFIX)) return;
+    const target = readPath(unpacked, value.slice(IMAGE_REFERENCE_PREFIX.length));
+    writePath(unpacked, path, asDataUrl(target) || null);
+  });
+  return unpacked;
+};
+
+export const normalizeSession = (input = {}) => {
+  const source = unpackSessionImages(input && typeof input === "object" ? input : {});
+  const sketch = asSketchContent({
+    layers: source.sketchLayers,
+    strokes: source.sketchStrokes,
+  });
+  return {
+    name: asString(source.name).trim(),
+    imageSrc: asDataUrl(source.imageSrc),
+    sketchData: asDataUrl(source.sketchData),
+    sketchLayers: sketch.layers,
+    sketchStrokes: sketch.strokes,
+    location: asString(source.location),
+    detectedCoordinates: asCoordinates(source.detectedCoordinates),
+    photoMetadata: asPhotoMetadata(source.photoMetadata),
+    scenarioType: SCENARIO_TYPES.includes(source.scenarioType)
+      ? source.scenarioType
+      : "adaptation",
+    includePlay: source.includePlay !== false,
+    spaceDescription: asString(source.spaceDescription),
+    transformation: asString(source.transformation),
+    languageOverride: getLanguage(source.languageOverride) ? source.languageOverride : "auto",
+    autoDescription: asString(source.autoDescription),
+    response: asString(source.response),
+    imagePrompt: asString(source.imagePrompt),
+    promptTemplate: asPromptTemplate(source.promptTemplate),
+    scoreSummary:
+      source.scoreSummary && typeof source.scoreSummary === "object"
+        ? source.scoreSummary
+        : null,
+    pinnedInterventions: asPinnedInterventions(source.pinnedInterventions),
+    selectedSpecies: asSpeciesList(source.selectedSpecies),
+    generatedImage: asImage(source.generatedImage),
+    conceptHistory: asConceptHistory(source.conceptHistory),
+    conceptSourceImage: asDataUrl(source.conceptSourceImage),
+    sketchComposite: asDataUrl(source.sketchComposite),
+    refinementLog: asRefinementLog(source.refinementLog),
+  };
+};
+
+export const assertSessionVersion = (version) => {
+  const sourceVersion = Number(version);
+  if (!Number.isInteger(sourceVersion) || sourceVersion < 1) {
+    throw new SessionFormatError("The session file does not declare a valid format version.", {
+      code: "missingVersion",
+    });
+  }
+  if (sourceVersion > SESSION_VERSION) {
+    throw new SessionFormatError(
+      `This session uses format version ${sourceVersion}, but this app only understands up to version ${SESSION_VERSION}. Please update the app to open it.`,
+      { code: "newerVersion", params: { version: sourceVersion, supported: SESSION_VERSION } }
+    );
+  }
+  return sourceVersion;
+};
+
+export const migrateSession = (input, version = input?.version) => {
+  const sourceVersion = assertSessionVersion(version);
+  let session = input;
+  for (let current = sourceVersion; current < SESSION_VERSION; current += 1) {
+    const migrate = SESSION_MIGRATIONS[current];
+    if (!migrate) {
+      throw new SessionFormatError(
+        `Session format version ${current} can no longer be opened.`,
+        { code: "retiredVersion", params: { version: current } }
+      );
+    }
+    session = migrate(session);
+  }
+  return { ...session, version: SESSION_VERSION };
+};
+
+export const summarizeSession = (session) => ({
+  id: session.id,
+  name: session.name,
+  location: session.location,
+  scenarioType: session.scenarioType,
+  hasConcept: Boolean(session.generatedImage),
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+});
@@ -0,0 +1,270 @@
+import JSZip from "jszip";
+import { formatCsv } from "./csv";
+import {
+  SESSION_VERSION,
+  SessionFormatError,
+  assertSessionVersion,
+  describePhotoMetadata,
+  formatPromptTemplate,
+  migrateSession,
+  normalizeSession,
+} from "./session";
+import { getLanguage } from "./language";
+import { buildSketchLegend, formatLegendEntry } from "./sketch";
+import { describeSpecies, formatSpeciesName } from "./speciesCatalog";
+
+export const ARCHIVE_FORMAT = "playful-session";
+
+const MIME_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "image/heic": "heic",
+};
+
+const EXTENSION_MIMES = Object.fromEntries(
+  Object.entries(MIME_EXTENSIONS).map(([mimeType, extension]) => [extension, mimeType])
+);
+
+const splitDataUrl = (dataUrl = "") => {
+  const match = typeof dataUrl === "string" && dataUrl.match(/^data:(.+?);base64,(.+)$/);
+  if (!match) return null;
+  return { mimeType: match[1], data: match[2] };
+};
+
+const formatScoreSummary = (scoreSummary) => {
+  const averages = scoreSummary?.averages;
+  if (!averages) return "Not available";
+  const format = (value) =>
+    Number.isFinite(value) ? `${value.toFixed(1)}/5` : "n/a";
+  return `Matches: ${scoreSummary.matches}; Cost ${format(averages.cost)}; Ease ${format(
+    averages.ease
+  )}; Effectiveness ${format(averages.effectiveness)}`;
+};
+
+export const buildSessionCsv = (session, manifest) => {
+  const coordinates = session.detectedCoordinates;
+  const rows = [
+    ["Field", "Value"],
+    ["Session name", session.name || "Untitled site study"],
+    ["Exported at", manifest.exportedAt],
+    ["Location", session.location || (coordinates ? "Detected via GPS" : "Not provided")],
+    ["Latitude", coordinates ? coordinates.latitude.toFixed(4) : ""],
+    ["Longitude", coordinates ? coordinates.longitude.toFixed(4) : ""],
+    ["Photo metadata", describePhotoMetadata(session.photoMetadata) || "Not recorded"],
+    ["Space description", session.spaceDescription || "Not provided"],
+    ["Transformation", session.transformation || "Not provided"],
+    [
+      "Response language",
+      getLanguage(session.languageOverride)?.label || "Auto-detected",
+    ],
+    [
+      "Sketch legend",
+      buildSketchLegend({
+        raster: session.sketchData,
+        layers: session.sketchLayers,
+        strokes: session.sketchStrokes,
+      })
+        .map(formatLegendEntry)
+        .join("; ") || "Not provided",
+    ],
+    ["Scenario type", session.scenarioType],
+    ["Include play", session.includePlay ? "Yes" : "No"],
+    ["Generated prompt", session.imagePrompt || "Not generated"],
+    ["Prompt template", formatPromptTemplate(session.promptTemplate) || "Not recorded"],
+    ["Auto description", session.autoDescription || "Not requested"],
+    ["Score summary", formatScoreSummary(session.scoreSummary)],
+    [
+      "Species",
+      session.selectedSpecies
+        .map((species) => `${formatSpeciesName(species)}: ${describeSpecies(species)}`)
+        .join(" | ") || "None suggested",
+    ],
+    [
+      "Pinned interventions",
+      session.pinnedInterventions.map(({ name }) => name).join("; ") || "None",
+    ],
+    ["Photo file", manifest.session.imageSrc || "Not available"],
+    ["Sketch layer file", manifest.files.sketch || "Not available"],
+    ["Sketch strokes", String(session.sketchStrokes.length)],
+    ["Sketch vector file", manifest.files.sketchSvg || "Not available"],
+    ["Inpainting mask file", manifest.files.mask || "Not available"],
+  ];
+
+  manifest.session.conceptHistory.forEach(({ src, prompt, template, createdAt }, index) => {
+    const templateLabel = template ? `, ${formatPromptTemplate(template)}` : "";
+    rows.push([
+      `Concept image ${index + 1}`,
+      `${src} (${createdAt || "unknown time"}${templateLabel}) — ${prompt || "no prompt"}`,
+    ]);
+  });
+
+  session.refinementLog.forEach(({ prompt, timestamp }, index) => {
+    rows.push([`Refinement ${index + 1}`, `${timestamp} — ${prompt}`]);
+  });
+
+  return formatCsv(rows);
+};
+
+/**
+ * Zips a session with its images as separate files. `sketchLayer` is the
+ * sketch rendered to a PNG at the photo's size; `session.sketchData` only
+ * holds the raster of sketches made before strokes were recorded, and is
+ * stored as its own file so reopening the archive does not draw it twice.
+ */
+export const buildSessionArchive = async ({
+  session,
+  maskData = null,
+  sketchSvg = null,
+  sketchLayer = null,
+}) => {
+  const zip = new JSZip();
+  const pathsByDataUrl = new Map();
+
+  const addImage = (dataUrl, basename) => {
+    if (!dataUrl) return null;
+    if (pathsByDataUrl.has(dataUrl)) return pathsByDataUrl.get(dataUrl);
+    const parsed = splitDataUrl(dataUrl);
+    if (!parsed) return null;
+    const filePath = `${basename}.${MIME_EXTENSIONS[parsed.mimeType] || "bin"}`;
+    zip.file(filePath, parsed.data, { base64: true });
+    pathsByDataUrl.set(dataUrl, filePath);
+    return filePath;
+  };
+
+  const photo = addImage(session.imageSrc, "photo");
+  const sketch = addImage(sketchLayer || session.sketchData, "sketch-layer");
+  const sketchRaster = addImage(session.sketchData, "sketch-raster");
+  const mask = addImage(maskData, "inpainting-mask");
+  if (sketchSvg) {
+    zip.file("sketch.svg", sketchSvg);
+  }
+  const conceptHistory = session.conceptHistory.map((entry, index) => ({
+    ...entry,
+    src: addImage(entry.src, `concepts/concept-${String(index + 1).padStart(2, "0")}`),
+  }));
+  const generatedImage = session.generatedImage
+    ? {
+        ...session.generatedImage,
+        src: addImage(session.generatedImage.src, "concepts/concept-latest"),
+      }
+    : null;
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: SESSION_VERSION,
+    exportedAt: new Date().toISOString(),
+    files: {
+      photo,
+      sketch,
+      sketchSvg: sketchSvg ? "sketch.svg" : null,
+      mask,
+      concepts: conceptHistory.map(({ src }) => src),
+    },
+    session: {
+      ...session,
+      imageSrc: photo,
+      sketchData: sketchRaster,
+      generatedImage,
+      conceptHistory,
+      conceptSourceImage: addImage(session.conceptSourceImage, "concept-source"),
+      sketchComposite: addImage(session.sketchComposite, "sketch-overlay"),
+    },
+  };
+
+  zip.file("session.json", JSON.stringify(manifest, null, 2));
+  zip.file("summary.csv", buildSessionCsv(session, manifest));
+
+  return zip.generateAsync({ type: "blob", mimeType: "application/zip" });
+};
+
+const readImage = async (zip, filePath) => {
+  if (typeof filePath !== "string" || !filePath) return null;
+  const entry = zip.file(filePath);
+  if (!entry) {
+    throw new SessionFormatError(`The archive is missing ${filePath}.`, {
+      code: "missingFile",
+      params: { path: filePath },
+    });
+  }
+  const extension = filePath.split(".").pop().toLowerCase();
+  const mimeType = EXTENSION_MIMES[extension] || "application/octet-stream";
+  return `data:${mimeType};base64,${await entry.async("base64")}`;
+};
+
+const parseManifest = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new SessionFormatError("session.json is not valid JSON.", { code: "invalidJson" });
+  }
+};
+
+export const readSessionArchive = async (file) => {
+  const fileName = file?.name || "";
+  if (/\.csv$/i.test(fileName)) {
+    throw new SessionFormatError(
+      "CSV exports only contain a text summary and cannot be reopened. Export the session again as a .zip bundle.",
+      { code: "csvExport" }
+    );
+  }
+
+  if (/\.json$/i.test(fileName)) {
+    const manifest = parseManifest(await file.text());
+    const session = manifest?.format === ARCHIVE_FORMAT ? manifest.session : manifest;
+    return normalizeSession(migrateSession(session, manifest?.version));
+  }
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch {
+    throw new SessionFormatError("The file is not a valid session .zip bundle.", {
+      code: "invalidZip",
+    });
+  }
+
+  const manifestEntry = zip.file("session.json");
+  if (!manifestEntry) {
+    throw new SessionFormatError(
+      "The archive has no session.json manifest, so it is not a session export.",
+      { code: "noManifest" }
+    );
+  }
+
+  const manifest = parseManifest(await manifestEntry.async("string"));
+  if (manifest?.format !== ARCHIVE_FORMAT || !manifest.session) {
+    throw new SessionFormatError("session.json is not a Playful Environment session manifest.", {
+      code: "notManifest",
+    });
+  }
+
+  assertSessionVersion(manifest.version);
+  const stored = manifest.session;
+  const conceptHistory = await Promise.all(
+    (Array.isArray(stored.conceptHistory) ? stored.conceptHistory : []).map(
+      async (entry) => ({
+        ...entry,
+        src: await readImage(zip, entry?.src),
+      })
+    )
+  );
+
+  const resolved = {
+    ...stored,
+    imageSrc: await readImage(zip, stored.imageSrc),
+    sketchData: await readImage(zip, stored.sketchData),
+    generatedImage: stored.generatedImage
+      ? {
+          ...stored.generatedImage,
+          src: await readImage(zip, stored.generatedImage.src),
+        }
+      : null,
+    conceptHistory,
+    conceptSourceImage: await readImage(zip, stored.conceptSourceImage),
+    sketchComposite: await readImage(zip, stored.sketchComposite),
+  };
+
+  return normalizeSession(migrateSession(resolved, manifest.version));
+};
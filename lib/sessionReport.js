@@ -0,0 +1,260 @@
+import { jsPDF } from "jspdf";
+import { describePhotoMetadata, formatPromptTemplate } from "./session";
+import { buildSketchLegend, formatLegendEntry } from "./sketch";
+import { describeSpecies, formatSpeciesName } from "./speciesCatalog";
+
+const PAGE_MARGIN = 18;
+const LINE_HEIGHT = 5;
+const MAX_IMAGE_HEIGHT = 120;
+const TABLE_CELL_PADDING = 3;
+
+const PDF_IMAGE_FORMATS = {
+  "image/jpeg": "JPEG",
+  "image/png": "PNG",
+  "image/webp": "WEBP",
+};
+
+const imageFormatOf = (dataUrl = "") => {
+  const match = dataUrl.match(/^data:(.+?);base64,/);
+  return match ? PDF_IMAGE_FORMATS[match[1]] || null : null;
+};
+
+const formatScore = (value) =>
+  Number.isFinite(value) ? `${value.toFixed(1)} / 5` : "n/a";
+
+const createLayout = (doc) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  let cursorY = PAGE_MARGIN;
+
+  const ensureSpace = (height) => {
+    if (cursorY + height <= pageHeight - PAGE_MARGIN) return;
+    doc.addPage();
+    cursorY = PAGE_MARGIN;
+  };
+
+  const newPage = () => {
+    doc.addPage();
+    cursorY = PAGE_MARGIN;
+  };
+
+  const heading = (text, size = 14) => {
+    ensureSpace(size * 0.6 + LINE_HEIGHT);
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(size);
+    doc.text(text, PAGE_MARGIN, cursorY + size * 0.35);
+    cursorY += size * 0.5 + LINE_HEIGHT / 2;
+  };
+
+  const paragraph = (text, { bold = false, size = 10 } = {}) => {
+    doc.setFont("helvetica", bold ? "bold" : "normal");
+    doc.setFontSize(size);
+    const lines = doc.splitTextToSize(String(text ?? ""), contentWidth);
+    lines.forEach((line) => {
+      ensureSpace(LINE_HEIGHT);
+      doc.text(line, PAGE_MARGIN, cursorY + LINE_HEIGHT * 0.7);
+      cursorY += LINE_HEIGHT;
+    });
+    cursorY += LINE_HEIGHT / 2;
+  };
+
+  const field = (label, value) => {
+    paragraph(`${label}: ${value || "Not provided"}`);
+  };
+
+  const image = (dataUrl, caption) => {
+    const format = dataUrl && imageFormatOf(dataUrl);
+    if (!format) {
+      paragraph(`${caption}: not available.`);
+      return;
+    }
+    const { width, height } = doc.getImageProperties(dataUrl);
+    const scale = Math.min(contentWidth / width, MAX_IMAGE_HEIGHT / height);
+    const drawWidth = width * scale;
+    const drawHeight = height * scale;
+    ensureSpace(drawHeight + LINE_HEIGHT * 2);
+    doc.addImage(
+      dataUrl,
+      format,
+      PAGE_MARGIN + (contentWidth - drawWidth) / 2,
+      cursorY,
+      drawWidth,
+      drawHeight
+    );
+    cursorY += drawHeight + 2;
+    doc.setFont("helvetica", "italic");
+    doc.setFontSize(9);
+    doc.text(caption, PAGE_MARGIN, cursorY + LINE_HEIGHT * 0.7);
+    cursorY += LINE_HEIGHT * 1.5;
+  };
+
+  // Value columns are sized to their widest cell, header included, and the
+  // first column takes what is left. If the values would squeeze it below a
+  // third of the page they shrink instead, and their cells wrap.
+  const table = (columns, rows) => {
+    doc.setFontSize(9);
+    const textWidth = (text, bold) => {
+      doc.setFont("helvetica", bold ? "bold" : "normal");
+      return doc.getTextWidth(String(text));
+    };
+    const valueWidths = columns.slice(1).map(
+      (column, index) =>
+        Math.max(textWidth(column, true), ...rows.map((row) => textWidth(row[index + 1], false))) +
+        TABLE_CELL_PADDING
+    );
+    const valueTotal = valueWidths.reduce((sum, width) => sum + width, 0);
+    const scale = Math.min(1, (contentWidth * 2) / 3 / valueTotal);
+    const widths = [contentWidth - valueTotal * scale, ...valueWidths.map((width) => width * scale)];
+    const xFor = (index) =>
+      PAGE_MARGIN + widths.slice(0, index).reduce((sum, width) => sum + width, 0);
+
+    const drawRow = (cells, bold) => {
+      doc.setFont("helvetica", bold ? "bold" : "normal");
+      doc.setFontSize(9);
+      const cellLines = cells.map((cell, index) =>
+        doc.splitTextToSize(String(cell), widths[index] - TABLE_CELL_PADDING)
+      );
+      const rowHeight = Math.max(1, ...cellLines.map((lines) => lines.length)) * LINE_HEIGHT;
+      ensureSpace(rowHeight);
+      cellLines.forEach((lines, index) => {
+        doc.text(lines, xFor(index), cursorY + LINE_HEIGHT * 0.7);
+      });
+      cursorY += rowHeight;
+    };
+
+    drawRow(columns, true);
+    doc.setDrawColor(180);
+    doc.line(PAGE_MARGIN, cursorY, PAGE_MARGIN + contentWidth, cursorY);
+    cursorY += 1;
+    rows.forEach((row) => drawRow(row, false));
+    cursorY += LINE_HEIGHT / 2;
+  };
+
+  return { heading, paragraph, field, image, table, newPage };
+};
+
+const addPageNumbers = (doc) => {
+  const total = doc.getNumberOfPages();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  for (let page = 1; page <= total; page += 1) {
+    doc.setPage(page);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(8);
+    doc.text(`Page ${page} of ${total}`, pageWidth - PAGE_MARGIN, pageHeight - 8, {
+      align: "right",
+    });
+  }
+};
+
+export const buildSessionReport = ({ session, overlayData = null }) => {
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const layout = createLayout(doc);
+  const generatedAt = new Date();
+  const coordinates = session.detectedCoordinates;
+  const scenarioLabel =
+    session.scenarioType === "adaptation"
+      ? session.includePlay
+        ? "Playful adaptation"
+        : "Non-play resilience"
+      : "Vulnerability assessment";
+
+  layout.heading("Playful Environment Workshop Report", 18);
+  layout.paragraph(session.name || "Untitled site study", { bold: true, size: 12 });
+  layout.field("Prepared", generatedAt.toLocaleString());
+  layout.field("Location", session.location);
+  layout.field(
+    "Coordinates",
+    coordinates
+      ? `${coordinates.latitude.toFixed(5)}, ${coordinates.longitude.toFixed(5)}`
+      : "Not detected"
+  );
+  const photoDetails = describePhotoMetadata(session.photoMetadata);
+  if (photoDetails) {
+    layout.field("Photo", photoDetails);
+  }
+  layout.field("Scenario", scenarioLabel);
+  layout.image(overlayData || session.imageSrc, "Site photo with sketch overlay");
+
+  const legend = buildSketchLegend({
+    raster: session.sketchData,
+    layers: session.sketchLayers,
+    strokes: session.sketchStrokes,
+  });
+  layout.heading("Sketch legend", 12);
+  if (legend.length) {
+    legend.forEach((entry) => layout.paragraph(`• ${formatLegendEntry(entry)}`));
+  } else {
+    layout.paragraph("No sketch layers were drawn.");
+  }
+
+  layout.newPage();
+  layout.heading("Proposal");
+  layout.field("Space description", session.spaceDescription);
+  layout.field(
+    session.scenarioType === "adaptation" ? "Requested transformation" : "Observed vulnerability",
+    session.transformation
+  );
+  layout.paragraph(session.imagePrompt || session.response || "No proposal generated yet.", {
+    size: 11,
+  });
+  if (session.promptTemplate) {
+    layout.field("Prompt template", formatPromptTemplate(session.promptTemplate));
+  }
+  if (session.selectedSpecies.length) {
+    layout.heading("Suggested species", 12);
+    session.selectedSpecies.forEach((species) => {
+      layout.field(formatSpeciesName(species), describeSpecies(species));
+    });
+  }
+  if (session.generatedImage?.src) {
+    layout.image(session.generatedImage.src, "AI concept image");
+  }
+
+  layout.newPage();
+  layout.heading("Intervention scores");
+  const averages = session.scoreSummary?.averages;
+  if (averages) {
+    layout.paragraph(
+      `Matched interventions: ${session.scoreSummary.matches} · Average cost ${formatScore(
+        averages.cost
+      )} · Ease ${formatScore(averages.ease)} · Effectiveness ${formatScore(
+        averages.effectiveness
+      )}`
+    );
+    const items = session.scoreSummary.items || [];
+    if (items.length) {
+      layout.table(
+        ["Intervention", "Cost", "Ease", "Effectiveness"],
+        items.map(({ name, cost, ease, effectiveness }) => [
+          name,
+          formatScore(cost),
+          formatScore(ease),
+          formatScore(effectiveness),
+        ])
+      );
+    }
+  } else {
+    layout.paragraph("No intervention scores were available for this session.");
+  }
+  if (session.pinnedInterventions.length) {
+    layout.paragraph(
+      `Pinned for the proposal: ${session.pinnedInterventions
+        .map(({ name }) => name)
+        .join(", ")}`
+    );
+  }
+
+  layout.heading("Refinement log");
+  if (session.refinementLog.length) {
+    session.refinementLog.forEach(({ prompt, timestamp }, index) => {
+      layout.paragraph(`${index + 1}. ${new Date(timestamp).toLocaleString()} — ${prompt}`);
+    });
+  } else {
+    layout.paragraph("No refinements were applied.");
+  }
+
+  addPageNumbers(doc);
+  return doc.output("blob");
+};
@@ -0,0 +1,141 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import {
+  SESSION_VERSION,
+  migrateSession,
+  normalizeSession,
+  packSessionImages,
+  summarizeSession,
+  unpackSessionImages,
+} from "./session";
+
+const SESSION_STORE_DIR =
+  process.env.SESSION_STORE_DIR ||
+  path.join(process.cwd(), ".data", "sessions");
+
+const SESSION_ID_PATTERN = /^[a-f0-9-]{36}$/;
+const SESSION_FILE_PATTERN = /^([a-f0-9-]{36})\.json$/;
+
+const sessionPath = (id) => path.join(SESSION_STORE_DIR, `${id}.json`);
+
+// Each session has a small sidecar with its list entry, so listing never
+// parses the full sessions and their image data.
+const summaryPath = (id) => path.join(SESSION_STORE_DIR, `${id}.summary.json`);
+
+const isValidId = (id) => typeof id === "string" && SESSION_ID_PATTERN.test(id);
+
+const readSessionFile = async (filePath) => {
+  try {
+    const raw = await fs.readFile(filePath, "utf8");
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+const writeJsonFile = async (target, value) => {
+  await fs.mkdir(SESSION_STORE_DIR, { recursive: true });
+  const tempPath = `${target}.${randomUUID()}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(value), "utf8");
+  await fs.rename(tempPath, target);
+};
+
+const writeSessionFile = async (session) => {
+  await writeJsonFile(sessionPath(session.id), packSessionImages(session));
+  await writeJsonFile(summaryPath(session.id), summarizeSession(session));
+};
+
+// Sessions saved before the sidecars existed, or whose sidecar is damaged,
+// get a new one from the full file. Unreadable sessions are left out of
+// the list instead of failing it.
+const readSummary = async (id) => {
+  try {
+    const summary = await readSessionFile(summaryPath(id));
+    if (summary) return summary;
+  } catch (error) {
+    console.error(`Session summary read failed for ${id}:`, error);
+  }
+  try {
+    const session = await readSessionFile(sessionPath(id));
+    if (!session) return null;
+    const summary = summarizeSession(session);
+    await writeJsonFile(summaryPath(id), summary);
+    return summary;
+  } catch (error) {
+    console.error(`Session read failed for ${id}:`, error);
+    return null;
+  }
+};
+
+export const listSessions = async () => {
+  let entries = [];
+  try {
+    entries = await fs.readdir(SESSION_STORE_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const summaries = await Promise.all(
+    entries
+      .map((entry) => SESSION_FILE_PATTERN.exec(entry)?.[1])
+      .filter(Boolean)
+      .map(readSummary)
+  );
+
+  return summaries
+    .filter(Boolean)
+    .sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""));
+};
+
+export const getSession = async (id) => {
+  if (!isValidId(id)) return null;
+  const session = await readSessionFile(sessionPath(id));
+  return session ? migrateSession(session) : null;
+};
+
+export const createSession = async (input) => {
+  const now = new Date().toISOString();
+  const session = {
+    ...normalizeSession(input),
+    id: randomUUID(),
+    version: SESSION_VERSION,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await writeSessionFile(session);
+  return session;
+};
+
+export const updateSession = async (id, input) => {
+  const existing = await getSession(id);
+  if (!existing) return null;
+  const session = {
+    ...normalizeSession({
+      ...unpackSessionImages(existing),
+      ...unpackSessionImages(input),
+    }),
+    id: existing.id,
+    version: SESSION_VERSION,
+    createdAt: existing.createdAt,
+    updatedAt: new Date().toISOString(),
+  };
+  await writeSessionFile(session);
+  return session;
+};
+
+export const deleteSession = async (id) => {
+  if (!isValidId(id)) return false;
+  try {
+    await fs.unlink(sessionPath(id));
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    throw error;
+  }
+  await fs.unlink(summaryPath(id)).catch((error) => {
+    if (error.code !== "ENOENT") throw error;
+  });
+  return true;
+};
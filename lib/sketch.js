@@ -0,0 +1,632 @@
+/**
+ * Sketch elements share one shape: `tool`, `layer`, `color`, `opacity`,
+ * `size` and `points`, all in the photo's natural pixel coordinates. Brush
+ * and eraser strokes, lasso fills and rectangle/arrow corners use `points`
+ * as drawn; text labels and stamps are anchored at their single point.
+ * Placed elements also carry a `label` describing what they stand for.
+ * Elements are drawn in their layer's color; `color` only records the color
+ * they were drawn with.
+ */
+export const SKETCH_TOOLS = ["brush", "eraser", "rectangle", "lasso", "arrow", "text", "stamp"];
+
+// Tools whose elements are described to the concept prompt.
+export const LABELED_SKETCH_TOOLS = ["rectangle", "lasso", "arrow", "text", "stamp"];
+
+// Pictograms drawn on a 24×24 grid and filled with the element color, so the
+// same path data renders on the canvas (Path2D) and in SVG exports.
+export const SKETCH_STAMPS = [
+  {
+    id: "tree",
+    label: "tree",
+    path: "M12 1a7 7 0 1 1 0 14a7 7 0 1 1 0-14z M10.5 14h3v8h-3z",
+  },
+  {
+    id: "shade-sail",
+    label: "shade sail",
+    path: "M3 5l18 3l-10 7z M2 4h1.5v18H2z M20.5 7H22v15h-1.5z",
+  },
+  {
+    id: "bench",
+    label: "bench",
+    path: "M3 8h18v2H3z M2 12h20v2H2z M4 14h2v6H4z M18 14h2v6h-2z",
+  },
+  {
+    id: "swing",
+    label: "swing",
+    path: "M2 22L7 3h10l5 19h-2L15.6 5H8.4L4 22z M9 5h1v11H9z M14 5h1v11h-1z M8 16h8v2H8z",
+  },
+  {
+    id: "rain-garden",
+    label: "rain garden",
+    path: "M12 2c3 4 5 6.5 5 9a5 5 0 0 1-10 0c0-2.5 2-5 5-9z M2 18h20v3H2z",
+  },
+  {
+    id: "boardwalk",
+    label: "boardwalk",
+    path: "M2 7h20v2H2z M2 11h20v2H2z M2 15h20v2H2z M4 17h2v5H4z M18 17h2v5h-2z",
+  },
+];
+
+const STAMP_GRID = 24;
+const STAMPS_BY_ID = new Map(SKETCH_STAMPS.map((stamp) => [stamp.id, stamp]));
+
+export const getSketchStamp = (id) => STAMPS_BY_ID.get(id) || null;
+
+const DEFAULT_STROKE_COLOR = "#00c8ff";
+const MAX_LABEL_LENGTH = 80;
+const MAX_LAYER_NAME_LENGTH = 40;
+const MAX_LAYER_MEANING_LENGTH = 160;
+
+// Colors offered to new layers in turn, starting with the original brush color.
+export const SKETCH_LAYER_COLORS = [
+  DEFAULT_STROKE_COLOR,
+  "#2e7d32",
+  "#f4511e",
+  "#8e24aa",
+  "#fdd835",
+  "#6d4c41",
+];
+const TEXT_FONT_FAMILY = "sans-serif";
+
+const roundCoordinate = (value) => Math.round(value * 10) / 10;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const asHexColor = (value) =>
+  typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value)
+    ? value.toLowerCase()
+    : DEFAULT_STROKE_COLOR;
+
+const asText = (value, limit) =>
+  typeof value === "string" ? value.trim().slice(0, limit) : "";
+
+const asLabel = (value) => asText(value, MAX_LABEL_LENGTH);
+
+export const createSketchLayer = (layers = [], overrides = {}) => {
+  const taken = new Set(layers.map(({ id }) => id));
+  let index = layers.length + 1;
+  while (taken.has(`layer-${index}`)) index += 1;
+  return {
+    id: `layer-${index}`,
+    name: `Layer ${index}`,
+    color: SKETCH_LAYER_COLORS[(index - 1) % SKETCH_LAYER_COLORS.length],
+    meaning: "",
+    visible: true,
+    ...overrides,
+  };
+};
+
+const asSketchLayer = (value) => {
+  const id = asText(value?.id, MAX_LAYER_NAME_LENGTH);
+  if (!id) return null;
+  return {
+    id,
+    name: asText(value.name, MAX_LAYER_NAME_LENGTH) || id,
+    color: asHexColor(value.color),
+    meaning: asText(value.meaning, MAX_LAYER_MEANING_LENGTH),
+    visible: value.visible !== false,
+  };
+};
+
+/**
+ * Cleans one stored element. Returns null for anything unusable, such as a
+ * zero-sized rectangle, a text label without text or an unknown stamp.
+ */
+export const asSketchStroke = (value) => {
+  if (!value || typeof value !== "object") return null;
+  const tool = SKETCH_TOOLS.includes(value.tool) ? value.tool : "brush";
+  let points = Array.isArray(value.points)
+    ? value.points
+        .filter(
+          (point) =>
+            Array.isArray(point) &&
+            Number.isFinite(point[0]) &&
+            Number.isFinite(point[1])
+        )
+        .map(([x, y]) => [roundCoordinate(x), roundCoordinate(y)])
+    : [];
+  if (tool === "rectangle" || tool === "arrow") {
+    points = points.length >= 2 ? [points[0], points[points.length - 1]] : [];
+  }
+  if (tool === "text" || tool === "stamp") {
+    points = points.slice(0, 1);
+  }
+  const size = Number(value.size);
+  const opacity = Number(value.opacity);
+  if (!points.length || points.length < (MIN_POINTS[tool] || 1)) return null;
+  if (MIN_POINTS[tool] === 2 && !hasExtent(points)) return null;
+  if (!Number.isFinite(size) || size <= 0) return null;
+
+  const stroke = {
+    tool,
+    layer: asText(value.layer, MAX_LAYER_NAME_LENGTH),
+    color: asHexColor(value.color),
+    opacity: Number.isFinite(opacity) ? clamp(opacity, 0, 1) : 1,
+    size: roundCoordinate(size),
+    points,
+  };
+  if (tool === "stamp") {
+    const stamp = getSketchStamp(value.stamp);
+    if (!stamp) return null;
+    stroke.stamp = stamp.id;
+    stroke.label = asLabel(value.label) || stamp.label;
+  } else if (tool === "text") {
+    stroke.label = asLabel(value.label);
+    if (!stroke.label) return null;
+  } else if (LABELED_SKETCH_TOOLS.includes(tool)) {
+    stroke.label = asLabel(value.label);
+  }
+  return stroke;
+};
+
+export const asSketchStrokes = (value) =>
+  Array.isArray(value) ? value.map(asSketchStroke).filter(Boolean) : [];
+
+/**
+ * Cleans a sketch's layers and elements together: there is always at least
+ * one layer, layer ids are unique, and elements pointing at a missing layer
+ * move to the first one.
+ */
+export const asSketchContent = ({ layers, strokes } = {}) => {
+  const cleaned = [];
+  (Array.isArray(layers) ? layers : []).forEach((entry) => {
+    const layer = asSketchLayer(entry);
+    if (layer && !cleaned.some(({ id }) => id === layer.id)) cleaned.push(layer);
+  });
+  if (!cleaned.length) cleaned.push(createSketchLayer());
+  const ids = new Set(cleaned.map(({ id }) => id));
+  return {
+    layers: cleaned,
+    strokes: asSketchStrokes(strokes).map((stroke) =>
+      ids.has(stroke.layer) ? stroke : { ...stroke, layer: cleaned[0].id }
+    ),
+  };
+};
+
+const hasExtent = ([[x1, y1], [x2, y2]]) => x1 !== x2 || y1 !== y2;
+
+// How many points each tool needs before it draws anything.
+const MIN_POINTS = { rectangle: 2, arrow: 2, lasso: 3 };
+
+/**
+ * Lists the labeled elements of a sketch as `{ tool, label }` pairs, the
+ * form the prompt routes accept.
+ */
+export const listSketchElements = (strokes = []) =>
+  strokes
+    .filter(({ tool, label }) => LABELED_SKETCH_TOOLS.includes(tool) && label)
+    .map(({ tool, label }) => ({ tool, label }));
+
+/**
+ * Sketch edits form a command stack: `base` is the sketch the history
+ * started from (a restored session), `commands` every edit made since and
+ * `position` how many of them are applied. Undo and redo only move
+ * `position`, so there is no limit on either.
+ */
+export const createSketchHistory = ({ raster = null, layers, strokes = [] } = {}) => ({
+  base: {
+    raster,
+    layers: layers?.length ? layers : [createSketchLayer()],
+    strokes,
+  },
+  commands: [],
+  position: 0,
+});
+
+const sameKeys = (a, b) =>
+  Object.keys(a).length === Object.keys(b).length &&
+  Object.keys(a).every((key) => key in b);
+
+export const pushSketchCommand = (history, command) => {
+  const previous = history.commands[history.position - 1];
+  // Typing a layer name or meaning updates the same fields keystroke by
+  // keystroke; fold those into one step so a single undo reverts the edit.
+  if (
+    command.type === "updateLayer" &&
+    previous?.type === "updateLayer" &&
+    previous.id === command.id &&
+    history.position === history.commands.length &&
+    sameKeys(previous.changes, command.changes)
+  ) {
+    return {
+      ...history,
+      commands: [...history.commands.slice(0, -1), { ...previous, changes: command.changes }],
+    };
+  }
+  return {
+    ...history,
+    commands: [...history.commands.slice(0, history.position), command],
+    position: history.position + 1,
+  };
+};
+
+export const canUndoSketch = (history) => history.position > 0;
+
+export const canRedoSketch = (history) => history.position < history.commands.length;
+
+export const undoSketch = (history) =>
+  canUndoSketch(history) ? { ...history, position: history.position - 1 } : history;
+
+export const redoSketch = (history) =>
+  canRedoSketch(history) ? { ...history, position: history.position + 1 } : history;
+
+/**
+ * Replays the applied commands into the current sketch: an optional raster
+ * image carried over from sessions saved before strokes were recorded, the
+ * named layers, and the strokes drawn on top of the raster. Clearing the
+ * sketch removes the drawing but keeps the layers.
+ */
+export const replaySketch = (history) =>
+  history.commands.slice(0, history.position).reduce((sketch, command) => {
+    switch (command.type) {
+      case "stroke":
+        return { ...sketch, strokes: [...sketch.strokes, command.stroke] };
+      case "clear":
+        return { ...sketch, raster: null, strokes: [] };
+      case "addLayer":
+        return { ...sketch, layers: [...sketch.layers, command.layer] };
+      case "updateLayer":
+        return {
+          ...sketch,
+          layers: sketch.layers.map((layer) =>
+            layer.id === command.id ? { ...layer, ...command.changes } : layer
+          ),
+        };
+      case "deleteLayer":
+        return sketch.layers.length > 1
+          ? {
+              ...sketch,
+              layers: sketch.layers.filter(({ id }) => id !== command.id),
+              strokes: sketch.strokes.filter(({ layer }) => layer !== command.id),
+            }
+          : sketch;
+      default:
+        return sketch;
+    }
+  }, history.base);
+
+// A raster carried over from an older session belongs to the first layer.
+const ownsRaster = (sketch, layer) => Boolean(sketch.raster) && sketch.layers[0]?.id === layer.id;
+
+export const layerHasContent = (sketch, layer) =>
+  ownsRaster(sketch, layer) || sketch.strokes.some((stroke) => stroke.layer === layer.id);
+
+/**
+ * The legend the prompts and exports use: every visible layer that has
+ * something drawn on it, in layer order.
+ */
+export const buildSketchLegend = (sketch) =>
+  sketch.layers
+    .filter((layer) => layer.visible && layerHasContent(sketch, layer))
+    .map(({ id, name, color, meaning }) => ({ id, name, color, meaning }));
+
+export const formatLegendEntry = ({ name, color, meaning }) =>
+  `${name} (${color})${meaning ? ` = ${meaning}` : ""}`;
+
+// The layer whose color is closest to a sampled pixel, for the eyedropper.
+export const findLayerByColor = (layers, { r, g, b }) => {
+  let best = null;
+  let bestDistance = Infinity;
+  layers.forEach((layer) => {
+    const color = hexToRgb(layer.color);
+    const distance = (color.r - r) ** 2 + (color.g - g) ** 2 + (color.b - b) ** 2;
+    if (distance < bestDistance) {
+      best = layer;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+export const isSketchEmpty = (sketch) => !sketch.raster && !sketch.strokes.length;
+
+const hexToRgb = (hex = "") => {
+  const sanitized = hex.replace("#", "");
+  if (![3, 6].includes(sanitized.length)) {
+    return { r: 0, g: 200, b: 255 };
+  }
+  const expanded =
+    sanitized.length === 3
+      ? sanitized
+          .split("")
+          .map((ch) => ch + ch)
+          .join("")
+      : sanitized;
+  const intVal = parseInt(expanded, 16);
+  return {
+    r: (intVal >> 16) & 255,
+    g: (intVal >> 8) & 255,
+    b: intVal & 255,
+  };
+};
+
+const rgbaFromHex = (hex, alpha = 1) => {
+  const { r, g, b } = hexToRgb(hex);
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+};
+
+const rectangleBounds = ([[x1, y1], [x2, y2]]) => ({
+  x: Math.min(x1, x2),
+  y: Math.min(y1, y2),
+  width: Math.abs(x2 - x1),
+  height: Math.abs(y2 - y1),
+});
+
+// The shaft stops short of the tip so its round cap stays inside the head.
+const arrowGeometry = ({ points, size }) => {
+  const [[x1, y1], [x2, y2]] = points;
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  const headLength = Math.max(size * 3, 12);
+  const spread = Math.PI / 7;
+  const corner = (offset) => [
+    x2 - headLength * Math.cos(angle + offset),
+    y2 - headLength * Math.sin(angle + offset),
+  ];
+  const shaftLength = Math.max(0, Math.hypot(x2 - x1, y2 - y1) - headLength / 2);
+  return {
+    shaft: [
+      [x1, y1],
+      [x1 + shaftLength * Math.cos(angle), y1 + shaftLength * Math.sin(angle)],
+    ],
+    head: [[x2, y2], corner(spread), corner(-spread)],
+  };
+};
+
+const textFont = (size) => `bold ${size}px ${TEXT_FONT_FAMILY}`;
+
+const traceStroke = (ctx, points) => {
+  ctx.beginPath();
+  ctx.moveTo(points[0][0], points[0][1]);
+  // A single tap still needs a segment for the round cap to show up.
+  if (points.length === 1) {
+    ctx.lineTo(points[0][0], points[0][1]);
+  }
+  points.slice(1).forEach(([x, y]) => ctx.lineTo(x, y));
+};
+
+const tracePolygon = (ctx, points) => {
+  traceStroke(ctx, points);
+  ctx.closePath();
+};
+
+const paintElement = (ctx, stroke, layerColor = stroke.color) => {
+  const { tool, points, size } = stroke;
+  if (points.length < (MIN_POINTS[tool] || 1)) return;
+  const color = rgbaFromHex(layerColor, stroke.opacity);
+  ctx.globalCompositeOperation = tool === "eraser" ? "destination-out" : "source-over";
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = size;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+
+  if (tool === "rectangle") {
+    const { x, y, width, height } = rectangleBounds(points);
+    ctx.strokeRect(x, y, width, height);
+  } else if (tool === "lasso") {
+    tracePolygon(ctx, points);
+    ctx.fill();
+  } else if (tool === "arrow") {
+    const { shaft, head } = arrowGeometry(stroke);
+    traceStroke(ctx, shaft);
+    ctx.stroke();
+    tracePolygon(ctx, head);
+    ctx.fill();
+  } else if (tool === "text") {
+    ctx.font = textFont(size);
+    ctx.textBaseline = "middle";
+    ctx.fillText(stroke.label, points[0][0], points[0][1]);
+  } else if (tool === "stamp") {
+    const stamp = getSketchStamp(stroke.stamp);
+    if (!stamp || typeof Path2D === "undefined") return;
+    ctx.save();
+    ctx.translate(points[0][0] - size / 2, points[0][1] - size / 2);
+    ctx.scale(size / STAMP_GRID, size / STAMP_GRID);
+    ctx.fill(new Path2D(stamp.path), "evenodd");
+    ctx.restore();
+  } else {
+    traceStroke(ctx, points);
+    ctx.stroke();
+  }
+};
+
+// Visible layers in drawing order, optionally narrowed to `layerIds`.
+const shownLayers = (sketch, layerIds) =>
+  sketch.layers.filter(
+    (layer) => layer.visible && (!layerIds || layerIds.includes(layer.id))
+  );
+
+// Whether `strokes` is `cached` with zero or more strokes appended.
+const extendsStrokes = (cached, strokes) =>
+  cached.length <= strokes.length && cached.every((stroke, index) => stroke === strokes[index]);
+
+const resetCanvas = (canvas, width, height) => {
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = "source-over";
+  ctx.clearRect(0, 0, width, height);
+  return ctx;
+};
+
+/**
+ * Rendered layer bitmaps kept between `paintSketch` calls on one target.
+ * Strokes are never mutated once committed, so a layer whose color, raster
+ * and scale are unchanged is drawn from its bitmap, with any strokes added
+ * since painted on top; undo, clear or a restyle repaint it from scratch.
+ */
+export const createSketchPaintCache = () => ({ layers: new Map(), scratch: null });
+
+const layerBitmap = (cache, layer, { strokes, raster, width, height, scale }) => {
+  const cached = cache?.layers.get(layer.id);
+  const reusable =
+    cached &&
+    cached.canvas.width === width &&
+    cached.canvas.height === height &&
+    cached.scale === scale &&
+    cached.color === layer.color &&
+    cached.raster === raster &&
+    extendsStrokes(cached.strokes, strokes);
+  const canvas = cached?.canvas || document.createElement("canvas");
+  let layerCtx;
+  let painted = 0;
+  if (reusable) {
+    layerCtx = canvas.getContext("2d");
+    painted = cached.strokes.length;
+  } else {
+    layerCtx = resetCanvas(canvas, width, height);
+    if (raster) {
+      layerCtx.drawImage(raster, 0, 0, width, height);
+    }
+  }
+  layerCtx.setTransform(scale, 0, 0, scale, 0, 0);
+  strokes.slice(painted).forEach((stroke) => paintElement(layerCtx, stroke, layer.color));
+  cache?.layers.set(layer.id, { canvas, strokes, color: layer.color, raster, scale });
+  return canvas;
+};
+
+/**
+ * Paints a sketch onto a 2D context at `scale` canvas pixels per image
+ * pixel, so the same strokes render crisply for the on-screen canvas, the
+ * full-resolution mask or an export of any size. Each visible layer is
+ * painted on its own canvas first, so an eraser only clears its own layer;
+ * passing `layerIds` paints only those layers. `rasterImage` is the decoded
+ * `sketch.raster`, if there is one.
+ *
+ * With a `cache` from `createSketchPaintCache`, unchanged layers are reused
+ * and `activeStroke`, the stroke still being drawn, is the only thing
+ * painted afresh, on top of a copy of its layer.
+ */
+export const paintSketch = (
+  ctx,
+  sketch,
+  { scale = 1, rasterImage = null, layerIds = null, cache = null, activeStroke = null } = {}
+) => {
+  const { width, height } = ctx.canvas;
+  shownLayers(sketch, layerIds).forEach((layer) => {
+    const strokes = sketch.strokes.filter((stroke) => stroke.layer === layer.id);
+    const raster = rasterImage && ownsRaster(sketch, layer) ? rasterImage : null;
+    const active = activeStroke?.layer === layer.id ? activeStroke : null;
+    if (!strokes.length && !raster && !active) return;
+    let layerCanvas = layerBitmap(cache, layer, { strokes, raster, width, height, scale });
+    if (active) {
+      const scratch = cache?.scratch || document.createElement("canvas");
+      if (cache) cache.scratch = scratch;
+      const scratchCtx = resetCanvas(scratch, width, height);
+      scratchCtx.drawImage(layerCanvas, 0, 0);
+      scratchCtx.setTransform(scale, 0, 0, scale, 0, 0);
+      paintElement(scratchCtx, active, layer.color);
+      layerCanvas = scratch;
+    }
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = "source-over";
+    ctx.drawImage(layerCanvas, 0, 0);
+    ctx.restore();
+  });
+  if (cache) {
+    const layerIdsInSketch = new Set(sketch.layers.map(({ id }) => id));
+    [...cache.layers.keys()].forEach((id) => {
+      if (!layerIdsInSketch.has(id)) cache.layers.delete(id);
+    });
+  }
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+
+const pathData = (points, closed = false) => {
+  const [[startX, startY], ...rest] = points;
+  const segments = rest.length ? rest : [[startX, startY]];
+  return `M${startX} ${startY}${segments.map(([x, y]) => `L${x} ${y}`).join("")}${
+    closed ? "Z" : ""
+  }`;
+};
+
+const lineAttributes = (size, color) =>
+  `fill="none" stroke="${color}" stroke-width="${size}" stroke-linecap="round" stroke-linejoin="round"`;
+
+const round = (value) => roundCoordinate(value);
+
+const elementSvg = (stroke, color = stroke.color) => {
+  const { tool, points, size } = stroke;
+  const opacity = `opacity="${stroke.opacity}"`;
+  if (tool === "rectangle") {
+    const { x, y, width, height } = rectangleBounds(points);
+    return `<rect x="${x}" y="${y}" width="${round(width)}" height="${round(
+      height
+    )}" ${lineAttributes(size, color)} ${opacity}/>`;
+  }
+  if (tool === "lasso") {
+    return `<path d="${pathData(points, true)}" fill="${color}" ${opacity}/>`;
+  }
+  if (tool === "arrow") {
+    const { shaft, head } = arrowGeometry(stroke);
+    const toFixed = (list) => list.map(([x, y]) => [round(x), round(y)]);
+    return `<g ${opacity}><path d="${pathData(toFixed(shaft))}" ${lineAttributes(
+      size,
+      color
+    )}/><path d="${pathData(toFixed(head), true)}" fill="${color}"/></g>`;
+  }
+  if (tool === "text") {
+    return `<text x="${points[0][0]}" y="${points[0][1]}" font-family="${TEXT_FONT_FAMILY}" font-weight="bold" font-size="${size}" dominant-baseline="middle" fill="${color}" ${opacity}>${escapeXml(
+      stroke.label
+    )}</text>`;
+  }
+  if (tool === "stamp") {
+    const stamp = getSketchStamp(stroke.stamp);
+    if (!stamp) return "";
+    return `<path d="${stamp.path}" fill="${color}" fill-rule="evenodd" transform="translate(${round(
+      points[0][0] - size / 2
+    )} ${round(points[0][1] - size / 2)}) scale(${Math.round((size / STAMP_GRID) * 1000) / 1000})" ${opacity}><title>${escapeXml(
+      stroke.label
+    )}</title></path>`;
+  }
+  return `<path d="${pathData(points)}" ${lineAttributes(size, color)} ${opacity}/>`;
+};
+
+/**
+ * Serializes the visible layers of a sketch as an SVG document sized to the
+ * photo, one group per layer. Eraser strokes become masks over everything
+ * drawn before them on their layer, matching how the canvas renders them.
+ */
+export const sketchToSvg = (sketch, { width, height }) => {
+  const defs = [];
+  const groups = shownLayers(sketch).map((layer) => {
+    let body = ownsRaster(sketch, layer)
+      ? `<image href="${escapeXml(sketch.raster)}" x="0" y="0" width="${width}" height="${height}" preserveAspectRatio="none"/>`
+      : "";
+    sketch.strokes.forEach((stroke, index) => {
+      if (stroke.layer !== layer.id) return;
+      if (stroke.tool === "eraser") {
+        const id = `erase-${index + 1}`;
+        defs.push(
+          `<mask id="${id}" maskUnits="userSpaceOnUse" x="0" y="0" width="${width}" height="${height}"><rect width="${width}" height="${height}" fill="white"/>${elementSvg(
+            stroke,
+            "black"
+          )}</mask>`
+        );
+        body = `<g mask="url(#${id})">${body}</g>`;
+        return;
+      }
+      body += elementSvg(stroke, layer.color);
+    });
+    return `<g id="${escapeXml(layer.id)}"><title>${escapeXml(
+      formatLegendEntry(layer)
+    )}</title>${body}</g>`;
+  });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    defs.length ? `<defs>${defs.join("")}</defs>` : "",
+    ...groups,
+    "</svg>",
+  ].join("");
+};
@@ -0,0 +1,96 @@
+import catalog from "../data/species.json";
+
+const SPECIES_BY_ID = new Map(catalog.map((species) => [species.id, species]));
+
+const FLOOD_TOLERANCE_SCORES = { none: -1, low: 0, medium: 1, high: 2 };
+const WATER_NEED_SCORES = { low: 1, medium: 0.5, high: 0 };
+const MAINTENANCE_SCORES = { low: 0.5, medium: 0.25, high: 0 };
+
+const HAZARD_PATTERNS = {
+  flood:
+    /\b(flood\w*|rain\w*|runoff|storm\w*|drain\w*|inundat\w*|waterlog\w*|inond\w*|pluie\w*|crue\w*|mafuriko|mvua|tondra\w*|orana|inunda\w*|lluvia\w*|chuva\w*)\b/gi,
+  heat:
+    /\b(heat\w*|hot|shade\w*|sun\w*|drought\w*|dry|temperature\w*|chaleur|canicule|s[eé]cheresse|ombre|joto|jua|ukame|hafanana|calor|sequ[ií]a|sombra|seca)\b/gi,
+};
+
+export const getSpecies = (ids = []) =>
+  ids.map((id) => SPECIES_BY_ID.get(id)).filter(Boolean);
+
+// Thorny covers spines and sharp-edged leaves; irritant covers sap or
+// latex that irritates skin.
+export const isChildSafe = (species) =>
+  !species.toxic && !species.thorny && !species.irritant;
+
+/**
+ * Reads which climate hazard a description is about. Returns "flood",
+ * "heat", or null when neither (or both equally) dominate.
+ */
+export const detectHazard = (text = "") => {
+  const counts = Object.fromEntries(
+    Object.entries(HAZARD_PATTERNS).map(([hazard, pattern]) => [
+      hazard,
+      (String(text).match(pattern) || []).length,
+    ])
+  );
+  if (counts.flood === counts.heat) return null;
+  return counts.flood > counts.heat ? "flood" : "heat";
+};
+
+const scoreSpecies = (species, { hazard, regionId }) => {
+  const floodScore = FLOOD_TOLERANCE_SCORES[species.floodTolerance] ?? 0;
+  const heatScore =
+    (species.providesShade ? 2 : 0) + (WATER_NEED_SCORES[species.waterNeeds] ?? 0);
+  const hazardScore =
+    hazard === "flood"
+      ? floodScore
+      : hazard === "heat"
+        ? heatScore
+        : (floodScore + heatScore) / 2;
+  const nativeScore = species.nativeRegions.includes(regionId) ? 2 : 0;
+  return nativeScore + hazardScore + (MAINTENANCE_SCORES[species.maintenance] ?? 0);
+};
+
+/**
+ * Picks the species best suited to the scenario from a region's list. Play
+ * settings only get child-safe species (see isChildSafe), and species
+ * native to the region are used before any others.
+ */
+export const selectSpecies = (
+  species = [],
+  { regionId = null, hazard = null, includePlay = true, count = 2 } = {}
+) => {
+  const eligible = includePlay ? species.filter(isChildSafe) : species;
+  const ranked = eligible
+    .map((entry) => ({ entry, score: scoreSpecies(entry, { hazard, regionId }) }))
+    .sort(
+      (a, b) => b.score - a.score || a.entry.commonName.localeCompare(b.entry.commonName)
+    )
+    .map(({ entry }) => entry);
+
+  const natives = ranked.filter(({ nativeRegions }) => nativeRegions.includes(regionId));
+  const others = ranked.filter(({ nativeRegions }) => !nativeRegions.includes(regionId));
+  return [...natives, ...others].slice(0, count);
+};
+
+export const formatSpeciesName = ({ commonName, scientificName }) =>
+  scientificName ? `${commonName} (${scientificName})` : commonName;
+
+export const describeSpecies = (species) => {
+  const description = [
+    `native to ${species.nativeRange}`,
+    `${species.waterNeeds} water`,
+    species.shadeNeeds.replace("-", " "),
+    `${species.floodTolerance} flood tolerance`,
+    `${species.maintenance} maintenance`,
+    isChildSafe(species)
+      ? "child-safe"
+      : [
+          species.toxic && "toxic",
+          species.thorny && "thorny",
+          species.irritant && "skin irritant",
+        ]
+          .filter(Boolean)
+          .join(", "),
+  ].join("; ");
+  return species.notes ? `${description}. ${species.notes}` : description;
+};
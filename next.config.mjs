@@ -1,6 +1,11 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  outputFileTracingIncludes: {
+    "/api/location-hint": ["./data/regions/**/*"],
+    "/api/generate-play-prompt": ["./data/regions/**/*"],
+    "/api/generate-visual-concept": ["./data/regions/**/*"],
+  },
 };
 
 export default nextConfig;
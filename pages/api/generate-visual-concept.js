@@ -1,8 +1,8 @@
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_IMAGE_MODEL =
-  process.env.GEMINI_IMAGE_MODEL || "gemini-2.0-flash-exp";
+import { getProvider, isEmptyOutputError, ProviderError } from "@/lib/ai";
+import { getSimulatedError } from "@/lib/mock";
+import { buildImagePrompt, buildRefinementPrompt } from "@/lib/promptTemplates";
 
-const GEMINI_IMAGE_ENDPOINT = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_IMAGE_MODEL}:generateContent`;
+const MODES = ["composite", "inpainting"];
 
 const parseDataUrl = (dataUrl = "") => {
   if (typeof dataUrl !== "string") return null;
@@ -14,53 +14,36 @@ const parseDataUrl = (dataUrl = "") => {
   };
 };
 
-const getInlineData = (part) => {
-  if (!part) return null;
-  const inlineData = part.inline_data || part.inlineData;
-  if (!inlineData || typeof inlineData !== "object") return null;
-  const mimeType = inlineData.mime_type || inlineData.mimeType || "";
-  const data = inlineData.data;
-  if (typeof data !== "string") return null;
-  return { data, mimeType };
-};
-
-const pickImagePart = (candidate) => {
-  if (!candidate?.content?.parts) return null;
-  for (const part of candidate.content.parts) {
-    const inlineData = getInlineData(part);
-    if (inlineData && /^image\//.test(inlineData.mimeType)) {
-      return inlineData;
-    }
-  }
-  return null;
-};
-
-const conceptInstruction =
-  "You help urban designers imagine inclusive, climate-adaptive play spaces. Keep existing surroundings recognizable while translating the instruction into a polished concept rendering.";
-
 export default async function handler(req, res) {
   if (req.method !== "POST") {
     return res.status(405).json({ error: "Only POST requests are allowed." });
   }
 
-  if (!GEMINI_API_KEY) {
-    return res
-      .status(500)
-      .json({ error: "GEMINI_API_KEY is not configured on the server." });
+  const provider = getProvider("image");
+  if (provider.missingConfig) {
+    return res.status(500).json({ error: provider.missingConfig });
   }
 
   const {
-    prompt,
+    context,
+    refinement,
     mode = "composite",
     imageData,
     baseImageData,
     maskData,
   } = req.body || {};
 
-  if (!prompt || typeof prompt !== "string") {
+  const hasRefinement = typeof refinement === "string" && refinement.trim();
+  if (!hasRefinement && (!context || typeof context !== "object")) {
     return res
       .status(400)
-      .json({ error: "A prompt describing the concept is required." });
+      .json({ error: "A prompt context or refinement instruction is required." });
+  }
+
+  if (!MODES.includes(mode)) {
+    return res
+      .status(400)
+      .json({ error: `Mode must be one of: ${MODES.join(", ")}.` });
   }
 
   const parsedImage = imageData ? parseDataUrl(imageData) : null;
@@ -79,101 +62,41 @@ export default async function handler(req, res) {
     });
   }
 
-  const parts = [
-    {
-      text: `${conceptInstruction}\nInstruction: ${prompt.trim()}`,
-    },
-  ];
-
-  if (mode === "composite" && parsedImage) {
-    parts.push({
-      inlineData: {
-        mimeType: parsedImage.mimeType,
-        data: parsedImage.data,
-      },
-    });
-    parts.push({
-      text: "Use this composite sketch as a reference and enhance it realistically.",
+  try {
+    const { prompt, instruction, template } = hasRefinement
+      ? buildRefinementPrompt(refinement)
+      : await buildImagePrompt(context);
+    const image = await provider.editImage({
+      prompt,
+      mode,
+      image: mode === "inpainting" ? parsedBase : parsedImage,
+      mask: mode === "inpainting" ? parsedMask : null,
+      simulatedError: getSimulatedError(req, "generate-visual-concept"),
     });
-  }
 
-  if (mode === "inpainting" && parsedBase && parsedMask) {
-    parts.push({
-      inlineData: {
-        mimeType: parsedBase.mimeType,
-        data: parsedBase.data,
-      },
-    });
-    parts.push({
-      inlineData: {
-        mimeType: parsedMask.mimeType,
-        data: parsedMask.data,
-      },
-    });
-    parts.push({
-      text: "Respect the mask: white pixels mark the areas to modify. Leave black areas unchanged.",
+    return res.status(200).json({
+      imageBase64: image.data,
+      mimeType: image.mimeType || "image/png",
+      prompt: instruction,
+      template,
     });
-  }
-
-  try {
-    const response = await fetch(
-      `${GEMINI_IMAGE_ENDPOINT}?key=${GEMINI_API_KEY}`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          contents: [
-            {
-              role: "user",
-              parts,
-            },
-          ],
-          generationConfig: {
-            temperature: 0.65,
-            topP: 0.8,
-            topK: 32,
-            maxOutputTokens: 2048,
-          },
-        }),
-      }
-    );
-
-    if (!response.ok) {
-      const errPayload = await response.json().catch(() => ({}));
-      console.error("Gemini image error:", errPayload);
+  } catch (error) {
+    if (isEmptyOutputError(error)) {
+      console.error(
+        `${provider.name} returned no image:`,
+        JSON.stringify(error.payload, null, 2)
+      );
       return res
-        .status(response.status)
-        .json({ error: "Gemini could not generate the concept image." });
+        .status(502)
+        .json({ error: "The image model did not return an image. Please try again." });
     }
-
-    const data = await response.json();
-    const candidate =
-      data?.candidates?.find(
-        (item) => item?.finishReason === "STOP" || item?.finishReason === "MAX_TOKENS"
-      ) || data?.candidates?.[0];
-
-    const imagePart = pickImagePart(candidate);
-    if (!imagePart) {
-      if (candidate) {
-        console.error(
-          "Gemini candidate content (no image):",
-          JSON.stringify(candidate, null, 2)
-        );
-      }
-      console.error("Gemini returned no image:", data);
+    if (error instanceof ProviderError) {
+      console.error(`${provider.name} image error:`, error.payload);
       return res
-        .status(502)
-        .json({ error: "Gemini did not return an image. Please try again." });
+        .status(error.status)
+        .json({ error: "The image model could not generate the concept image." });
     }
-
-    return res.status(200).json({
-      imageBase64: imagePart.data,
-      mimeType: imagePart.mimeType || "image/png",
-    });
-  } catch (error) {
-    console.error("Gemini image request failed:", error);
+    console.error("Concept image request failed:", error);
     return res
       .status(500)
       .json({ error: "Failed to generate the concept image." });
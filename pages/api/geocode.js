@@ -0,0 +1,94 @@
+import {
+  getSimulatedError,
+  isMockMode,
+  mockResponse,
+  searchMockPlaces,
+} from "@/lib/mock";
+import {
+  NominatimError,
+  allowsAutocomplete,
+  nominatimUrl,
+  queueNominatimRequest,
+} from "@/lib/nominatim";
+
+const MIN_QUERY_LENGTH = 3;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+
+const toResult = (place) => ({
+  displayName: place?.display_name || "",
+  lat: Number(place?.lat),
+  lon: Number(place?.lon),
+  type: place?.type || place?.addresstype || "",
+  address: place?.address || {},
+});
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Only GET requests are allowed." });
+  }
+
+  const query = String(req.query.q || "").trim();
+  if (query.length < MIN_QUERY_LENGTH) {
+    return res.status(400).json({
+      error: `The q query parameter needs at least ${MIN_QUERY_LENGTH} characters.`,
+    });
+  }
+
+  // The location field marks searches made while typing; they are refused
+  // against the public instance, and the field falls back to Enter/Search.
+  if (req.query.autocomplete === "1" && !allowsAutocomplete()) {
+    return res.status(403).json({
+      error: "Autocomplete is not allowed against the public Nominatim instance.",
+      autocomplete: false,
+    });
+  }
+
+  const requestedLimit = Number(req.query.limit ?? DEFAULT_LIMIT);
+  if (!Number.isInteger(requestedLimit) || requestedLimit < 1) {
+    return res.status(400).json({ error: "limit must be a positive whole number." });
+  }
+  const limit = Math.min(requestedLimit, MAX_LIMIT);
+
+  try {
+    const url = nominatimUrl("search");
+    url.searchParams.set("format", "jsonv2");
+    url.searchParams.set("q", query);
+    url.searchParams.set("limit", String(limit));
+    url.searchParams.set("addressdetails", "1");
+    if (req.query.lang) {
+      url.searchParams.set("accept-language", String(req.query.lang));
+    }
+
+    const response = isMockMode()
+      ? mockResponse(
+          searchMockPlaces(query, limit),
+          getSimulatedError(req, "geocode")
+        )
+      : await queueNominatimRequest(url);
+
+    if (!response.ok) {
+      console.error("Geocode search failed:", await response.text());
+      return res
+        .status(response.status)
+        .json({ error: "Location search failed." });
+    }
+
+    const data = await response.json();
+    const results = (Array.isArray(data) ? data : [])
+      .map(toResult)
+      .filter(
+        ({ displayName, lat, lon }) =>
+          displayName && Number.isFinite(lat) && Number.isFinite(lon)
+      );
+    return res.status(200).json({ results });
+  } catch (error) {
+    if (error instanceof NominatimError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Geocode search exception:", error);
+    return res.status(500).json({
+      error: "Location search failed due to a network or server error.",
+    });
+  }
+}
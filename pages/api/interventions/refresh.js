@@ -0,0 +1,44 @@
+import {
+  CatalogError,
+  getCatalogConfigError,
+  refreshCatalog,
+} from "@/lib/interventionCatalog";
+
+const INTERVENTION_REFRESH_TOKEN = process.env.INTERVENTION_REFRESH_TOKEN;
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Only POST requests are allowed." });
+  }
+
+  // Every refresh downloads the whole catalog, so the endpoint only exists
+  // once a token is configured.
+  if (!INTERVENTION_REFRESH_TOKEN) {
+    return res.status(404).json({ error: "Catalog refresh is not enabled." });
+  }
+
+  if (req.headers.authorization !== `Bearer ${INTERVENTION_REFRESH_TOKEN}`) {
+    return res.status(401).json({ error: "A valid refresh token is required." });
+  }
+
+  const configError = getCatalogConfigError();
+  if (configError) {
+    return res.status(500).json({ error: configError });
+  }
+
+  try {
+    const { records, fetchedAt } = await refreshCatalog();
+    return res.status(200).json({
+      records: records.length,
+      fetchedAt: new Date(fetchedAt).toISOString(),
+    });
+  } catch (error) {
+    if (error instanceof CatalogError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Catalog refresh failed:", error);
+    return res
+      .status(500)
+      .json({ error: "Unable to refresh the intervention catalog." });
+  }
+}
@@ -0,0 +1,44 @@
+import { findRegionHint } from "@/lib/locationRegistry";
+import { captureMonth, deriveSeason } from "@/lib/season";
+
+const parseCoordinate = (value, limit) => {
+  if (value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : NaN;
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Only GET requests are allowed." });
+  }
+
+  const { location = "", lat, lon, date = "" } = req.query;
+  const latitude = parseCoordinate(lat, 90);
+  const longitude = parseCoordinate(lon, 180);
+  if (Number.isNaN(latitude) || Number.isNaN(longitude)) {
+    return res.status(400).json({ error: "lat and lon must be valid coordinates." });
+  }
+  if ((latitude === null) !== (longitude === null)) {
+    return res
+      .status(400)
+      .json({ error: "Both lat and lon query parameters are required together." });
+  }
+
+  if (date && !captureMonth(date)) {
+    return res.status(400).json({ error: "date must start with YYYY-MM-DD." });
+  }
+
+  try {
+    const hint = await findRegionHint({
+      location: String(location),
+      coordinates: latitude === null ? null : { latitude, longitude },
+    });
+    const season = date
+      ? deriveSeason({ capturedAt: String(date), latitude, wetMonths: hint?.wetMonths })
+      : null;
+    return res.status(200).json({ hint, season });
+  } catch (error) {
+    console.error("Location hint lookup failed:", error);
+    return res.status(500).json({ error: "Unable to look up location hints." });
+  }
+}
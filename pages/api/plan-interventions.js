@@ -0,0 +1,66 @@
+import {
+  CatalogError,
+  getCatalogConfigError,
+  loadCatalog,
+} from "@/lib/interventionCatalog";
+import { MAX_MATCH_LIMIT, rankInterventions } from "@/lib/interventionMatching";
+import { planInterventions } from "@/lib/interventionPlanner";
+import { getSimulatedError } from "@/lib/mock";
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Only POST requests are allowed." });
+  }
+
+  const configError = getCatalogConfigError();
+  if (configError) {
+    return res.status(500).json({ error: configError });
+  }
+
+  const { prompt = "", location = "", budget, minEase } = req.body || {};
+  if (!prompt && !location) {
+    return res
+      .status(400)
+      .json({ error: "Prompt or location context is required." });
+  }
+
+  const budgetValue = Number(budget);
+  if (!Number.isFinite(budgetValue) || budgetValue <= 0) {
+    return res.status(400).json({ error: "Budget must be a positive number." });
+  }
+
+  const minEaseValue = minEase === undefined || minEase === null || minEase === ""
+    ? 0
+    : Number(minEase);
+  if (!Number.isFinite(minEaseValue) || minEaseValue < 0) {
+    return res
+      .status(400)
+      .json({ error: "Minimum ease must be a non-negative number." });
+  }
+
+  try {
+    const { records } = await loadCatalog({
+      simulatedError: getSimulatedError(req, "plan-interventions"),
+    });
+
+    const { items, totalMatches } = rankInterventions(records, {
+      prompt,
+      location,
+      limit: MAX_MATCH_LIMIT,
+    });
+
+    return res.status(200).json({
+      candidates: items.length,
+      totalMatches,
+      ...planInterventions(items, { budget: budgetValue, minEase: minEaseValue }),
+    });
+  } catch (error) {
+    if (error instanceof CatalogError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Intervention planning failed:", error);
+    return res.status(500).json({
+      error: "Unable to plan interventions. Check the intervention catalog.",
+    });
+  }
+}
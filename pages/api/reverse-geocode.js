@@ -1,9 +1,10 @@
-const NOMINATIM_BASE_URL =
-  process.env.NOMINATIM_BASE_URL ||
-  "https://nominatim.openstreetmap.org/reverse";
-const NOMINATIM_USER_AGENT =
-  process.env.NOMINATIM_USER_AGENT ||
-  "playful-environment-app/1.0 (mailto:you@example.com)";
+import { getSimulatedError } from "@/lib/mock";
+import { NominatimError, reverseGeocode } from "@/lib/nominatim";
+
+const parseCoordinate = (value, limit) => {
+  const number = Number(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+};
 
 export default async function handler(req, res) {
   if (req.method !== "GET") {
@@ -16,37 +17,27 @@ export default async function handler(req, res) {
       .status(400)
       .json({ error: "Both lat and lon query parameters are required." });
   }
+  const latitude = parseCoordinate(lat, 90);
+  const longitude = parseCoordinate(lon, 180);
+  if (latitude === null || longitude === null) {
+    return res.status(400).json({ error: "lat and lon must be valid coordinates." });
+  }
 
   try {
-    const url = new URL(NOMINATIM_BASE_URL);
-    url.searchParams.set("format", "jsonv2");
-    url.searchParams.set("lat", lat);
-    url.searchParams.set("lon", lon);
-    url.searchParams.set("zoom", "14");
-    url.searchParams.set("addressdetails", "1");
-
-    const response = await fetch(url.toString(), {
-      headers: {
-        "User-Agent": NOMINATIM_USER_AGENT,
-        Accept: "application/json",
-      },
+    const { data, cached } = await reverseGeocode(latitude, longitude, {
+      simulatedError: getSimulatedError(req, "reverse-geocode"),
     });
-
-    if (!response.ok) {
-      console.error("Reverse geocode failed:", await response.text());
-      return res
-        .status(response.status)
-        .json({ error: "Reverse geocoding failed." });
-    }
-
-    const data = await response.json();
     return res.status(200).json({
       displayName: data?.display_name || "",
       address: data?.address || {},
       lat: data?.lat,
       lon: data?.lon,
+      cached,
     });
   } catch (error) {
+    if (error instanceof NominatimError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error("Reverse geocoding exception:", error);
     return res.status(500).json({
       error: "Reverse geocoding failed due to a network or server error.",
@@ -0,0 +1,53 @@
+import { deleteSession, getSession, updateSession } from "@/lib/sessionStore";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "25mb",
+    },
+  },
+};
+
+export default async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    if (req.method === "GET") {
+      const session = await getSession(id);
+      if (!session) {
+        return res.status(404).json({ error: "Session not found." });
+      }
+      return res.status(200).json({ session });
+    }
+
+    if (req.method === "PUT") {
+      if (!req.body || typeof req.body !== "object") {
+        return res
+          .status(400)
+          .json({ error: "A session payload is required." });
+      }
+      const session = await updateSession(id, req.body);
+      if (!session) {
+        return res.status(404).json({ error: "Session not found." });
+      }
+      return res.status(200).json({ session });
+    }
+
+    if (req.method === "DELETE") {
+      const deleted = await deleteSession(id);
+      if (!deleted) {
+        return res.status(404).json({ error: "Session not found." });
+      }
+      return res.status(200).json({ id, deleted: true });
+    }
+  } catch (error) {
+    console.error("Session request failed:", error);
+    return res
+      .status(500)
+      .json({ error: "Unable to access the saved session." });
+  }
+
+  return res
+    .status(405)
+    .json({ error: "Only GET, PUT and DELETE requests are allowed." });
+}
@@ -0,0 +1,39 @@
+import { createSession, listSessions } from "@/lib/sessionStore";
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: "25mb",
+    },
+  },
+};
+
+export default async function handler(req, res) {
+  if (req.method === "GET") {
+    try {
+      const sessions = await listSessions();
+      return res.status(200).json({ sessions });
+    } catch (error) {
+      console.error("Session listing failed:", error);
+      return res.status(500).json({ error: "Unable to list saved sessions." });
+    }
+  }
+
+  if (req.method === "POST") {
+    if (!req.body || typeof req.body !== "object") {
+      return res.status(400).json({ error: "A session payload is required." });
+    }
+
+    try {
+      const session = await createSession(req.body);
+      return res.status(201).json({ session });
+    } catch (error) {
+      console.error("Session creation failed:", error);
+      return res.status(500).json({ error: "Unable to save the session." });
+    }
+  }
+
+  return res
+    .status(405)
+    .json({ error: "Only GET and POST requests are allowed." });
+}
@@ -1,10 +1,68 @@
-import React, { useState, useRef, useEffect } from "react";
-import exifr from "exifr";
-
+import React, { useState, useRef, useEffect, useMemo } from "react";
+import {
+  SessionFormatError,
+  formatPromptTemplate,
+  normalizeSession,
+  packSessionImages,
+} from "@/lib/session";
+import { buildSessionArchive, readSessionArchive } from "@/lib/sessionArchive";
+import { LANGUAGES, detectLanguage, resolveResponseLanguage } from "@/lib/language";
+import {
+  DEFAULT_LOCALE,
+  LOCALES,
+  LOCALE_STORAGE_KEY,
+  createTranslator,
+  isSupportedLocale,
+  responseErrorKey,
+  translateStatus,
+} from "@/lib/i18n";
+import {
+  compassPoint,
+  orientPhoto,
+  readPhotoMetadata,
+  toLocalTimestamp,
+} from "@/lib/photoMetadata";
+import {
+  LABELED_SKETCH_TOOLS,
+  SKETCH_STAMPS,
+  asSketchStroke,
+  buildSketchLegend,
+  canRedoSketch,
+  canUndoSketch,
+  createSketchHistory,
+  createSketchLayer,
+  createSketchPaintCache,
+  findLayerByColor,
+  isSketchEmpty,
+  listSketchElements,
+  paintSketch,
+  pushSketchCommand,
+  redoSketch,
+  replaySketch,
+  sketchToSvg,
+  undoSketch,
+} from "@/lib/sketch";
+import {
+  DEFAULT_MASK_SETTINGS,
+  MAX_MASK_FEATHER,
+  MAX_MASK_GROW,
+  asMaskSettings,
+  buildMaskValues,
+  scaleMaskSettings,
+} from "@/lib/mask";
+import { describeSpecies, formatSpeciesName, isChildSafe } from "@/lib/speciesCatalog";
+import CameraCapture from "@/components/CameraCapture";
+import InterventionPlanPanel from "@/components/InterventionPlanPanel";
+import InterventionsPanel from "@/components/InterventionsPanel";
+import LocationSearch from "@/components/LocationSearch";
+
+const MOCK_MODE_ENABLED =
+  (process.env.NEXT_PUBLIC_MOCK_MODE || "").toLowerCase() === "true";
 const AUTO_DESCRIPTION_ENABLED =
-  process.env.NEXT_PUBLIC_ENABLE_IMAGE_DESCRIPTION === "true";
+  process.env.NEXT_PUBLIC_ENABLE_IMAGE_DESCRIPTION === "true" || MOCK_MODE_ENABLED;
 const GEMINI_IMAGE_ENABLED =
-  (process.env.NEXT_PUBLIC_ENABLE_GEMINI_IMAGE || "").toLowerCase() === "true";
+  (process.env.NEXT_PUBLIC_ENABLE_GEMINI_IMAGE || "").toLowerCase() === "true" ||
+  MOCK_MODE_ENABLED;
 const GEMINI_INPAINTING_ENABLED =
   (process.env.NEXT_PUBLIC_ENABLE_GEMINI_INPAINTING || "").toLowerCase() === "true";
 
@@ -12,143 +70,52 @@ console.log("GEMINI flag", process.env.NEXT_PUBLIC_ENABLE_GEMINI_IMAGE);
 
 const MAX_PREVIEW_DIMENSION = 1024;
 const PREVIEW_QUALITY = 0.7;
-const DEFAULT_BRUSH_COLOR = "#00c8ff";
-const MAX_UNDO_STATES = 15;
+const COMPOSITE_QUALITY = 0.92;
+const INK_PROBE_SIZE = 512;
+const MASK_PREVIEW_DELAY_MS = 150;
+const MASK_PREVIEW_REGENERATE = [236, 72, 153];
 const TOOL_OPTIONS = [
-  { id: "brush", label: "Brush", icon: "🖌️" },
-  { id: "eraser", label: "Eraser", icon: "🧽" },
-  { id: "eyedropper", label: "Eyedropper", icon: "🎯" },
+  { id: "brush", labelKey: "sketch.tool.brush", icon: "🖌️" },
+  { id: "eraser", labelKey: "sketch.tool.eraser", icon: "🧽" },
+  { id: "eyedropper", labelKey: "sketch.tool.eyedropper", icon: "🎯" },
+  { id: "rectangle", labelKey: "sketch.tool.rectangle", icon: "▭" },
+  { id: "lasso", labelKey: "sketch.tool.lasso", icon: "➰" },
+  { id: "arrow", labelKey: "sketch.tool.arrow", icon: "➜" },
+  { id: "text", labelKey: "sketch.tool.text", icon: "🔤" },
+  { id: "stamp", labelKey: "sketch.tool.stamp", icon: "🌳" },
 ];
+// Stamps are placed at this multiple of the brush size.
+const STAMP_SIZE_FACTOR = 3;
 
-const pickRandom = (items = []) => {
-  if (!Array.isArray(items) || items.length === 0) return null;
-  const index = Math.floor(Math.random() * items.length);
-  return items[index];
-};
+const formatAverage = (value) =>
+  Number.isFinite(value) ? `${value.toFixed(1)} /5` : "n/a";
 
-const sampleItems = (items = [], count = 1) => {
-  if (!Array.isArray(items) || items.length === 0 || count <= 0) return [];
-  const pool = [...items];
-  const result = [];
-  const take = Math.min(count, pool.length);
-  for (let i = 0; i < take; i += 1) {
-    const index = Math.floor(Math.random() * pool.length);
-    result.push(pool.splice(index, 1)[0]);
-  }
-  return result;
-};
+const GEOLOCATION_OPTIONS = { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 };
 
-const hexToRgb = (hex = "") => {
-  const sanitized = hex.replace("#", "");
-  if (![3, 6].includes(sanitized.length)) {
-    return { r: 0, g: 200, b: 255 };
-  }
-  const expanded =
-    sanitized.length === 3
-      ? sanitized
-          .split("")
-          .map((ch) => ch + ch)
-          .join("")
-      : sanitized;
-  const intVal = parseInt(expanded, 16);
-  return {
-    r: (intVal >> 16) & 255,
-    g: (intVal >> 8) & 255,
-    b: intVal & 255,
-  };
-};
-
-const rgbToHex = (r = 0, g = 0, b = 0) => {
-  const toHex = (value) =>
-    Math.max(0, Math.min(255, Math.round(value || 0)))
-      .toString(16)
-      .padStart(2, "0");
-  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
-};
-
-const rgbaFromHex = (hex, alpha = 1) => {
-  const { r, g, b } = hexToRgb(hex);
-  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
-};
-
-const LANGUAGE_RULES = [
-  {
-    code: "fr",
-    label: "French",
-    keywords: [" le ", " la ", " les ", " des ", " avec ", " pour ", " dans ", " une ", " un ", " sur ", " du ", " au "],
-    diacritics: /[àâçéèêëîïôûùüÿœæ]/i,
-  },
-];
-
-const LOCATION_HINTS = [
-  {
-    name: "antananarivo_madagascar",
-    test: (location = "", coords) => {
-      const locMatch = /antananarivo|madagascar/i.test(location);
-      if (locMatch) return true;
-      if (!coords) return false;
-      const { latitude, longitude } = coords;
-      return latitude <= -17 && latitude >= -20.5 && longitude >= 46 && longitude <= 49.5;
-    },
-    playHints: [
-      "Use stepped papyrus reedbeds and bamboo play decks to slow runoff along wetland edges.",
-      "Float play pods over seasonal pools, linking them with woven palm bridges for refuge play.",
-      "Carve rain-garden amphitheaters with shade sails so families can gather above stormwater.",
-      "Mix terraced food gardens with kid-friendly water channels to drain courtyards after storms.",
-    ],
-    resilienceHints: [
-      "Install stepped bioswales and reed terraces to slow runoff entering the wetlands.",
-      "Raise footpaths on porous laterite blocks so residents can cross flooded courtyards.",
-      "Use bamboo pergolas with rain chains to direct water into cisterns.",
-      "Plant deep-rooted vetiver belts to stabilize slopes and reduce erosion.",
-    ],
-    playSpecies: ["papyrus", "traveller's palm", "screw pine", "bamboo", "baobab saplings", "lemongrass", "water hyacinth mats"],
-    resilienceSpecies: ["papyrus", "vetiver grass", "ravinala", "baobab saplings", "lemongrass", "native shrubs"],
-  },
-  {
-    name: "kisumu_kenya",
-    test: (location = "", coords) => {
-      const locMatch = /kisumu|lake victoria|kenya/i.test(location);
-      if (locMatch) return true;
-      if (!coords) return false;
-      const { latitude, longitude } = coords;
-      return latitude <= 0 && latitude >= -1.2 && longitude >= 34 && longitude <= 35.8;
-    },
-    playHints: [
-      "Lay floating play rafts tied to papyrus islands so kids can explore safer wetland zones.",
-      "Build permeable play plazas that drain into rain gardens before water reaches Lake Victoria.",
-      "Create raised mangrove boardwalk loops with shade hammocks for caregivers.",
-      "Add colorful rainwater slides that channel overflow into reed-filtered splash basins.",
-    ],
-    resilienceHints: [
-      "Build permeable stone check dams that bleed flood pulses back into reedbeds.",
-      "Restore papyrus berms with mangrove seedlings to buffer waves.",
-      "Channel runoff into terraced rain gardens with overflow basins before it reaches Lake Victoria.",
-      "Suspend footbridges on sisal ropes to keep market routes above seasonal water.",
-    ],
-    playSpecies: ["papyrus", "raffia palm", "African fan palm", "mangrove seedlings", "water lettuce", "sisal ropes", "native reeds"],
-    resilienceSpecies: ["papyrus", "mangrove seedlings", "raffia palm", "sisal", "native reeds", "water hyacinth control mats"],
-  },
-];
+const requestCurrentPosition = () =>
+  new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error("Geolocation is not supported in this browser."));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => resolve({ latitude: coords.latitude, longitude: coords.longitude }),
+      reject,
+      GEOLOCATION_OPTIONS
+    );
+  });
 
-const detectLanguage = (text = "") => {
-  const normalized = ` ${text.toLowerCase()} `;
-  return (
-    LANGUAGE_RULES.find(({ keywords = [], diacritics }) => {
-      let hits = 0;
-      keywords.forEach((kw) => {
-        if (normalized.includes(kw)) hits += 1;
-      });
-      if (diacritics && diacritics.test(text)) hits += 2;
-      return hits >= 2;
-    }) || null
-  );
-};
+// GeolocationPositionError codes: 1 denied, 2 unavailable, 3 timed out.
+const geolocationErrorKey = (error) =>
+  ({ 1: "location.permissionDenied", 2: "location.positionUnavailable", 3: "location.positionTimeout" })[
+    error?.code
+  ] || "location.geolocationUnsupported";
 
-const findHint = (location, coords) =>
-  LOCATION_HINTS.find(({ test }) => test(location, coords)) || null;
+// The decoded image for a sketch's raster layer, once it has loaded.
+const decodedRaster = (sketch, loaded) =>
+  sketch.raster && loaded?.src === sketch.raster ? loaded.image : null;
 
-const createPreview = (dataUrl) =>
+const createPreview = (dataUrl, mimeType = "image/jpeg") =>
   new Promise((resolve) => {
     const img = new Image();
     img.onload = () => {
@@ -159,80 +126,209 @@ const createPreview = (dataUrl) =>
       canvas.height = height * scale;
       const ctx = canvas.getContext("2d");
       ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-      resolve(canvas.toDataURL("image/jpeg", PREVIEW_QUALITY));
+      resolve(canvas.toDataURL(mimeType, PREVIEW_QUALITY));
     };
     img.onerror = () => resolve(dataUrl);
     img.src = dataUrl;
   });
 
+// Mask levels for a sketch rendered at any size: 255 marks what Gemini
+// regenerates, 0 what it keeps.
+const maskValuesFor = (sketchCanvas, settings, naturalWidth) => {
+  const { width, height } = sketchCanvas;
+  const { data } = sketchCanvas.getContext("2d").getImageData(0, 0, width, height);
+  return buildMaskValues(data, width, height, scaleMaskSettings(settings, width / naturalWidth));
+};
+
 export default function PlayfulEnvironmentDesigner() {
   const canvasRef = useRef(null);
+  const maskPreviewRef = useRef(null);
+  const layerRef = useRef(null);
   const imageRef = useRef(null);
   const fileInputRef = useRef(null);
-  const drawingState = useRef({ active: false, lastX: 0, lastY: 0 });
-  const undoStackRef = useRef([]);
-
+  const sessionFileInputRef = useRef(null);
+  const activeStrokeRef = useRef(null);
+  // Layer bitmaps for the full-size layer and the on-screen canvas, so a
+  // pointer move only repaints the stroke in progress.
+  const layerPaintCacheRef = useRef(createSketchPaintCache());
+  const screenPaintCacheRef = useRef(createSketchPaintCache());
+  const rasterImageRef = useRef(null);
+  const pendingSketchRef = useRef(null);
+  const restoredScoreKeyRef = useRef(null);
+
+  const [locale, setLocale] = useState(DEFAULT_LOCALE);
   const [imageSrc, setImageSrc] = useState("");
+  const [cameraOpen, setCameraOpen] = useState(false);
   const [spaceDescription, setSpaceDescription] = useState("");
   const [transformation, setTransformation] = useState("");
+  const [languageOverride, setLanguageOverride] = useState("auto");
   const [scenarioType, setScenarioType] = useState("adaptation");
   const [includePlay, setIncludePlay] = useState(true);
   const [location, setLocation] = useState("");
   const [locationStatus, setLocationStatus] = useState("");
   const [detectedCoordinates, setDetectedCoordinates] = useState(null);
-  const [drawingNotes, setDrawingNotes] = useState("");
+  const [photoMetadata, setPhotoMetadata] = useState(null);
+  const [season, setSeason] = useState(null);
+  const [selectedSpecies, setSelectedSpecies] = useState([]);
+  const [promptTemplate, setPromptTemplate] = useState(null);
   const [autoDescription, setAutoDescription] = useState("");
   const [autoDescriptionStatus, setAutoDescriptionStatus] = useState("");
   const [imagePrompt, setImagePrompt] = useState("");
   const [promptWarning, setPromptWarning] = useState("");
   const [response, setResponse] = useState("");
+  const [promptStatus, setPromptStatus] = useState("");
   const [scoreSummary, setScoreSummary] = useState(null);
   const [scoreStatus, setScoreStatus] = useState("");
+  const [pinnedInterventions, setPinnedInterventions] = useState([]);
   const [imageGenerationStatus, setImageGenerationStatus] = useState("");
   const [generatedImage, setGeneratedImage] = useState(null);
+  const [conceptHistory, setConceptHistory] = useState([]);
   const [conceptSourceImage, setConceptSourceImage] = useState(null);
   const [sketchComposite, setSketchComposite] = useState(null);
   const [refinePrompt, setRefinePrompt] = useState("");
   const [refinementLog, setRefinementLog] = useState([]);
   const [tool, setTool] = useState("brush");
-  const [brushColor, setBrushColor] = useState(DEFAULT_BRUSH_COLOR);
   const [brushOpacity, setBrushOpacity] = useState(0.6);
   const [brushSize, setBrushSize] = useState(18);
+  const [stampId, setStampId] = useState(SKETCH_STAMPS[0].id);
+  const [elementLabel, setElementLabel] = useState("");
+  const [sketchHistory, setSketchHistory] = useState(() => createSketchHistory());
+  const sketch = useMemo(() => replaySketch(sketchHistory), [sketchHistory]);
+  const sketchRef = useRef(sketch);
   const [hasSketch, setHasSketch] = useState(false);
-  const [canUndo, setCanUndo] = useState(false);
+  const [activeLayerId, setActiveLayerId] = useState("");
+  const [focusLayerId, setFocusLayerId] = useState("");
+  const activeLayer =
+    sketch.layers.find(({ id }) => id === activeLayerId) || sketch.layers[0];
+  const sketchLegend = useMemo(() => buildSketchLegend(sketch), [sketch]);
+  const focusLayer = sketchLegend.find(({ id }) => id === focusLayerId) || null;
+  const [maskSettings, setMaskSettings] = useState(DEFAULT_MASK_SETTINGS);
+  const [maskPreview, setMaskPreview] = useState(false);
+  const [currentSessionId, setCurrentSessionId] = useState(null);
+  const [sessionName, setSessionName] = useState("");
+  const [savedSessions, setSavedSessions] = useState([]);
+  const [sessionStatus, setSessionStatus] = useState("");
+  const [sessionListFailed, setSessionListFailed] = useState(false);
+
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  useEffect(() => {
+    const stored = window.localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (!isSupportedLocale(stored)) return;
+    setLocale(stored);
+    if (stored !== DEFAULT_LOCALE) {
+      setLanguageOverride((current) => (current === "auto" ? stored : current));
+    }
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  // The interface language doubles as the default response language; English
+  // goes back to detecting the language from what was typed.
+  const handleLocaleChange = (next) => {
+    if (!isSupportedLocale(next)) return;
+    setLocale(next);
+    setLanguageOverride(next === DEFAULT_LOCALE ? "auto" : next);
+    try {
+      window.localStorage.setItem(LOCALE_STORAGE_KEY, next);
+    } catch (error) {
+      console.error("Locale preference save failed:", error);
+    }
+  };
+
+  // Strokes live on an offscreen layer at the photo's natural size; the
+  // visible canvas is only a scaled rendering of it.
+  const getSketchLayer = () => {
+    const base = imageRef.current;
+    if (!base?.naturalWidth) return null;
+    if (!layerRef.current) {
+      layerRef.current = document.createElement("canvas");
+    }
+    const layer = layerRef.current;
+    if (layer.width !== base.naturalWidth || layer.height !== base.naturalHeight) {
+      layer.width = base.naturalWidth;
+      layer.height = base.naturalHeight;
+    }
+    return layer;
+  };
+
+  // Renders the sketch from its strokes at any size, for the mask, the
+  // composite and the on-screen canvas alike.
+  const renderSketchCanvas = (width, height, layerIds = null) => {
+    const base = imageRef.current;
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    if (base?.naturalWidth) {
+      paintSketch(canvas.getContext("2d"), sketchRef.current, {
+        scale: width / base.naturalWidth,
+        rasterImage: decodedRaster(sketchRef.current, rasterImageRef.current),
+        layerIds,
+      });
+    }
+    return canvas;
+  };
 
-  const condenseText = (text = "", wordLimit = 110) => {
-    const words = text.trim().split(/\s+/);
-    if (!text.trim() || words.length <= wordLimit) return text.trim();
-    return words.slice(0, wordLimit).join(" ");
+  const paintSketchLayer = () => {
+    const layer = layerRef.current;
+    if (!layer) return;
+    const ctx = layer.getContext("2d");
+    ctx.clearRect(0, 0, layer.width, layer.height);
+    paintSketch(ctx, sketchRef.current, {
+      rasterImage: decodedRaster(sketchRef.current, rasterImageRef.current),
+      cache: layerPaintCacheRef.current,
+    });
   };
 
-  const getCanvasContext = () => {
-    if (!canvasRef.current) return null;
-    return canvasRef.current.getContext("2d");
+  const renderSketch = () => {
+    const canvas = canvasRef.current;
+    const base = imageRef.current;
+    if (!canvas || !base) return;
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(base.clientWidth * ratio));
+    const height = Math.max(1, Math.round(base.clientHeight * ratio));
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, width, height);
+    if (!base.naturalWidth) return;
+    paintSketch(ctx, sketchRef.current, {
+      scale: width / base.naturalWidth,
+      rasterImage: decodedRaster(sketchRef.current, rasterImageRef.current),
+      cache: screenPaintCacheRef.current,
+      activeStroke: activeStrokeRef.current,
+    });
   };
 
-  const getCanvasCoords = (event) => {
+  const getImageCoords = (event) => {
     const canvas = canvasRef.current;
-    if (!canvas) return null;
+    const layer = layerRef.current;
+    if (!canvas || !layer) return null;
     const rect = canvas.getBoundingClientRect();
-    const scaleX = canvas.width / rect.width;
-    const scaleY = canvas.height / rect.height;
+    if (!rect.width || !rect.height) return null;
     return {
-      x: (event.clientX - rect.left) * scaleX,
-      y: (event.clientY - rect.top) * scaleY,
+      x: ((event.clientX - rect.left) * layer.width) / rect.width,
+      y: ((event.clientY - rect.top) * layer.height) / rect.height,
     };
   };
 
-  const canvasHasInk = () => {
-    const canvas = canvasRef.current;
-    if (!canvas) return false;
-    const ctx = getCanvasContext();
-    if (!ctx) return false;
-    const { width, height } = canvas;
-    if (!width || !height) return false;
+  // Checks a downscaled copy so a full-resolution layer is never read back
+  // pixel by pixel after every stroke.
+  const layerHasInk = () => {
+    const layer = layerRef.current;
+    if (!layer?.width || !layer.height) return false;
+    const scale = Math.min(1, INK_PROBE_SIZE / Math.max(layer.width, layer.height));
+    const probe = document.createElement("canvas");
+    probe.width = Math.max(1, Math.round(layer.width * scale));
+    probe.height = Math.max(1, Math.round(layer.height * scale));
+    const ctx = probe.getContext("2d");
     try {
-      const { data } = ctx.getImageData(0, 0, width, height);
+      ctx.drawImage(layer, 0, 0, probe.width, probe.height);
+      const { data } = ctx.getImageData(0, 0, probe.width, probe.height);
       for (let i = 3; i < data.length; i += 4) {
         if (data[i] > 0) return true;
       }
@@ -243,77 +339,143 @@ export default function PlayfulEnvironmentDesigner() {
     }
   };
 
-  const clearCanvasLayer = () => {
-    const canvas = canvasRef.current;
-    if (canvas) {
-      const ctx = getCanvasContext();
-      if (ctx) {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-      }
+  useEffect(() => {
+    sketchRef.current = sketch;
+    let cancelled = false;
+    const repaint = () => {
+      if (cancelled) return;
+      paintSketchLayer();
+      renderSketch();
+      setHasSketch(layerHasInk());
+    };
+    if (sketch.raster && rasterImageRef.current?.src !== sketch.raster) {
+      const img = new Image();
+      img.onload = () => {
+        rasterImageRef.current = { src: sketch.raster, image: img };
+        repaint();
+      };
+      img.onerror = () => {
+        console.error("Sketch layer load failed:", sketch.raster.slice(0, 32));
+        repaint();
+      };
+      img.src = sketch.raster;
+    } else {
+      repaint();
     }
-    undoStackRef.current = [];
-    setCanUndo(false);
-    setHasSketch(false);
+    return () => {
+      cancelled = true;
+    };
+  }, [sketch]);
+
+  // Tints the region that will be regenerated and dims what is kept, using
+  // the same mask the request sends, rendered at screen resolution.
+  useEffect(() => {
+    const overlay = maskPreviewRef.current;
+    const base = imageRef.current;
+    if (!maskPreview || !overlay || !base?.naturalWidth) return;
+    const timer = setTimeout(() => {
+      const ratio = window.devicePixelRatio || 1;
+      const scale = Math.min(1, (base.clientWidth * ratio) / base.naturalWidth);
+      const width = Math.max(1, Math.round(base.naturalWidth * scale));
+      const height = Math.max(1, Math.round(base.naturalHeight * scale));
+      try {
+        const values = maskValuesFor(
+          renderSketchCanvas(width, height, focusLayer ? [focusLayer.id] : null),
+          maskSettings,
+          base.naturalWidth
+        );
+        overlay.width = width;
+        overlay.height = height;
+        const ctx = overlay.getContext("2d");
+        const imgData = ctx.createImageData(width, height);
+        const [red, green, blue] = MASK_PREVIEW_REGENERATE;
+        for (let i = 0; i < values.length; i += 1) {
+          const regenerate = (values[i] / 255) * 0.55;
+          const keep = (1 - values[i] / 255) * 0.4;
+          const alpha = regenerate + keep;
+          const offset = i * 4;
+          imgData.data[offset] = (red * regenerate) / alpha;
+          imgData.data[offset + 1] = (green * regenerate) / alpha;
+          imgData.data[offset + 2] = (blue * regenerate) / alpha;
+          imgData.data[offset + 3] = alpha * 255;
+        }
+        ctx.putImageData(imgData, 0, 0);
+      } catch (error) {
+        console.error("Mask preview failed:", error);
+      }
+    }, MASK_PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [maskPreview, maskSettings, focusLayer, sketch]);
+
+  const handleMaskSettingChange = (changes) =>
+    setMaskSettings((current) => asMaskSettings({ ...current, ...changes }));
+
+  const resetSketch = () => {
+    activeStrokeRef.current = null;
+    setSketchHistory(createSketchHistory());
+    setActiveLayerId("");
+    setFocusLayerId("");
+    setMaskPreview(false);
   };
 
-  const saveCanvasState = () => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const snapshot = canvas.toDataURL("image/png");
-    undoStackRef.current.push(snapshot);
-    if (undoStackRef.current.length > MAX_UNDO_STATES) {
-      undoStackRef.current.shift();
-    }
-    setCanUndo(undoStackRef.current.length > 0);
+  const handleUndoSketch = () => setSketchHistory(undoSketch);
+
+  const handleRedoSketch = () => setSketchHistory(redoSketch);
+
+  const handleClearSketch = () => {
+    if (isSketchEmpty(sketch)) return;
+    setSketchHistory((history) => pushSketchCommand(history, { type: "clear" }));
   };
 
-  const restoreCanvasState = (snapshot) => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = getCanvasContext();
-    if (!ctx) return;
-    if (!snapshot) {
-      clearCanvasLayer();
-      return;
-    }
-    const img = new Image();
-    img.onload = () => {
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-      setHasSketch(canvasHasInk());
-    };
-    img.src = snapshot;
+  const handleAddLayer = () => {
+    const layer = createSketchLayer(sketch.layers);
+    setSketchHistory((history) => pushSketchCommand(history, { type: "addLayer", layer }));
+    setActiveLayerId(layer.id);
   };
 
-  const handleUndoSketch = () => {
-    if (!canvasRef.current) return;
-    if (undoStackRef.current.length === 0) {
-      clearCanvasLayer();
-      return;
-    }
-    const snapshot = undoStackRef.current.pop();
-    restoreCanvasState(snapshot);
-    setCanUndo(undoStackRef.current.length > 0);
+  const handleUpdateLayer = (id, changes) => {
+    setSketchHistory((history) => pushSketchCommand(history, { type: "updateLayer", id, changes }));
   };
 
-  const handleClearSketch = () => {
-    clearCanvasLayer();
+  const handleDeleteLayer = (id) => {
+    if (sketch.layers.length < 2) return;
+    setSketchHistory((history) => pushSketchCommand(history, { type: "deleteLayer", id }));
+  };
+
+  const handleExportSketchSvg = () => {
+    const layer = layerRef.current;
+    if (!layer || isSketchEmpty(sketch)) return;
+    const svg = sketchToSvg(sketch, { width: layer.width, height: layer.height });
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+    const anchor = document.createElement("a");
+    anchor.href = url;
+    anchor.download = `playful-sketch-${Date.now()}.svg`;
+    document.body.appendChild(anchor);
+    anchor.click();
+    document.body.removeChild(anchor);
+    URL.revokeObjectURL(url);
   };
 
   const handlePointerDown = (event) => {
-    if (!imageSrc || !canvasRef.current) return;
+    if (!imageSrc || !canvasRef.current || !getSketchLayer()) return;
     event.preventDefault();
-    const coords = getCanvasCoords(event);
+    const coords = getImageCoords(event);
     if (!coords) return;
-    const ctx = getCanvasContext();
-    if (!ctx) return;
+    const layer = layerRef.current;
 
     if (tool === "eyedropper") {
-      const pixel = ctx
+      const pixel = layer
+        .getContext("2d")
         .getImageData(Math.floor(coords.x), Math.floor(coords.y), 1, 1)
         .data;
       if (pixel[3] > 0) {
-        setBrushColor(rgbToHex(pixel[0], pixel[1], pixel[2]));
+        // Picking a color selects the layer drawn in it.
+        const picked = findLayerByColor(sketch.layers, {
+          r: pixel[0],
+          g: pixel[1],
+          b: pixel[2],
+        });
+        if (picked) setActiveLayerId(picked.id);
         const sampledOpacity = Number((pixel[3] / 255).toFixed(2));
         setBrushOpacity(sampledOpacity > 0 ? sampledOpacity : brushOpacity);
         setTool("brush");
@@ -321,125 +483,100 @@ export default function PlayfulEnvironmentDesigner() {
       return;
     }
 
-    saveCanvasState();
-    drawingState.current = { active: true, lastX: coords.x, lastY: coords.y };
-    ctx.lineCap = "round";
-    ctx.lineJoin = "round";
-    ctx.lineWidth = brushSize;
-    ctx.strokeStyle = rgbaFromHex(brushColor, brushOpacity);
-    ctx.globalCompositeOperation =
-      tool === "eraser" ? "destination-out" : "source-over";
-    ctx.beginPath();
-    ctx.moveTo(coords.x, coords.y);
-    ctx.lineTo(coords.x, coords.y);
-    ctx.stroke();
+    // Brush size is picked in screen pixels; convert it to image pixels so
+    // the stroke looks the same width it did while drawing.
+    const imagePixelsPerCssPixel = layer.width / canvasRef.current.getBoundingClientRect().width;
+    const element = {
+      tool,
+      layer: activeLayer.id,
+      color: activeLayer.color,
+      opacity: brushOpacity,
+      size: brushSize * imagePixelsPerCssPixel,
+      points: [[coords.x, coords.y]],
+    };
+    if (LABELED_SKETCH_TOOLS.includes(tool)) {
+      element.label = elementLabel;
+    }
+    if (!activeLayer.visible) {
+      handleUpdateLayer(activeLayer.id, { visible: true });
+    }
+
+    // Text labels and stamps are placed with a single click.
+    if (tool === "text" || tool === "stamp") {
+      const placed = asSketchStroke(
+        tool === "stamp"
+          ? { ...element, stamp: stampId, size: element.size * STAMP_SIZE_FACTOR }
+          : element
+      );
+      if (placed) {
+        setSketchHistory((history) =>
+          pushSketchCommand(history, { type: "stroke", stroke: placed })
+        );
+      }
+      return;
+    }
+
+    activeStrokeRef.current = element;
+    renderSketch();
   };
 
   const handlePointerMove = (event) => {
-    if (!drawingState.current.active) return;
+    if (!activeStrokeRef.current) return;
     event.preventDefault();
-    const coords = getCanvasCoords(event);
+    const coords = getImageCoords(event);
     if (!coords) return;
-    const ctx = getCanvasContext();
-    if (!ctx) return;
-    ctx.lineTo(coords.x, coords.y);
-    ctx.stroke();
-    drawingState.current.lastX = coords.x;
-    drawingState.current.lastY = coords.y;
+    const { tool: activeTool, points } = activeStrokeRef.current;
+    // Rectangles and arrows only keep where the drag started and where it is now.
+    if (activeTool === "rectangle" || activeTool === "arrow") {
+      points[1] = [coords.x, coords.y];
+    } else {
+      points.push([coords.x, coords.y]);
+    }
+    renderSketch();
   };
 
   const endStroke = () => {
-    if (!drawingState.current.active) return;
-    drawingState.current.active = false;
-    const ctx = getCanvasContext();
-    if (ctx) {
-      ctx.closePath();
-      ctx.globalCompositeOperation = "source-over";
-    }
-    setHasSketch(canvasHasInk());
+    const stroke = asSketchStroke(activeStrokeRef.current);
+    activeStrokeRef.current = null;
+    if (!stroke) return;
+    setSketchHistory((history) => pushSketchCommand(history, { type: "stroke", stroke }));
   };
 
   const handlePointerUp = () => endStroke();
   const handlePointerLeave = () => endStroke();
   const handlePointerCancel = () => endStroke();
 
-  const buildGeminiPrompt = () => {
-    const baseTag = scenarioType === "adaptation"
-      ? includePlay
-        ? "[Playful adaptation]"
-        : "[Non-play resilience]"
-      : "[Vulnerability assessment]";
-
-    const locationSnippet = location
-      ? `Context: ${location}.`
-      : detectedCoordinates
-        ? `Context: ${detectedCoordinates.latitude.toFixed(4)}, ${detectedCoordinates.longitude.toFixed(4)}.`
-        : "";
-
-    const hint = scenarioType === "adaptation"
-      ? findHint(location, detectedCoordinates)
-      : null;
-    const hintPool = hint
-      ? includePlay
-        ? hint.playHints
-        : hint.resilienceHints
-      : null;
-    const speciesPool = hint
-      ? includePlay
-        ? hint.playSpecies
-        : hint.resilienceSpecies || hint.playSpecies
-      : null;
-    const hintSentence = hintPool?.length ? pickRandom(hintPool) : "";
-    const hintSnippet = hintSentence ? `Local cues: ${hintSentence}` : "";
-    const speciesList = speciesPool?.length ? sampleItems(speciesPool, 2) : [];
-    const speciesSnippet = speciesList.length
-      ? `Species: ${speciesList.join(", ")}.`
-      : "";
-
-    const sketchSnippet = drawingNotes.trim()
-      ? `Sketch notes: ${drawingNotes.trim()}.`
-      : "";
-
-    const userSnippet = imagePrompt.trim()
-      ? `User description: ${condenseText(imagePrompt, 80)}.`
-      : "";
-
-    const focusSnippet = scenarioType === "adaptation"
-      ? includePlay
-        ? "Instruction: show climate-smart play adaptations with natural materials."
-        : "Instruction: show low-impact climate adaptations; no play equipment."
-      : includePlay
-        ? "Instruction: describe vulnerability impacts on play only; no solutions."
-        : "Instruction: describe vulnerability impacts on daily use only; no solutions.";
-
-    const languageRule = detectLanguage(`${spaceDescription} ${transformation}`);
-    const languageSnippet = languageRule ? `Respond in ${languageRule.label}.` : "";
-
-    return [
-      baseTag,
-      locationSnippet,
-      userSnippet,
-      sketchSnippet,
-      hintSnippet,
-      speciesSnippet,
-      focusSnippet,
-      languageSnippet,
-    ]
-      .filter(Boolean)
-      .join(" ")
-      .replace(/\s+/g, " ")
-      .trim();
-  };
-
+  // Keep the visible canvas matched to the displayed photo in device pixels
+  // through window resizes, rotation and browser zoom.
   useEffect(() => {
-    if (!imageSrc || !canvasRef.current || !imageRef.current) return;
-    const canvas = canvasRef.current;
     const base = imageRef.current;
-    canvas.width = base.clientWidth;
-    canvas.height = base.clientHeight;
+    if (!imageSrc || !base) return;
+    const observer = new ResizeObserver(() => renderSketch());
+    observer.observe(base);
+    window.addEventListener("resize", renderSketch);
+    return () => {
+      observer.disconnect();
+      window.removeEventListener("resize", renderSketch);
+    };
   }, [imageSrc]);
 
+  // Runs once the photo has loaded, so the layer can take its size; a
+  // restored session's sketch becomes the start of a fresh history.
+  const applyPendingSketch = () => {
+    if (!getSketchLayer()) return;
+    activeStrokeRef.current = null;
+    setSketchHistory(createSketchHistory(pendingSketchRef.current || {}));
+    pendingSketchRef.current = null;
+  };
+
   useEffect(() => {
+    const scoreKey = `${imagePrompt}|${location}`;
+    if (restoredScoreKeyRef.current === scoreKey) {
+      restoredScoreKeyRef.current = null;
+      return;
+    }
+    restoredScoreKeyRef.current = null;
+
     if (!imagePrompt.trim() || !GEMINI_IMAGE_ENABLED) {
       setScoreSummary(null);
       setScoreStatus("");
@@ -449,7 +586,7 @@ export default function PlayfulEnvironmentDesigner() {
     const controller = new AbortController();
     const run = async () => {
       try {
-        setScoreStatus("Scoring interventions...");
+        setScoreStatus("scores.scoring");
         const res = await fetch("/api/score-interventions", {
           method: "POST",
           headers: { "Content-Type": "application/json" },
@@ -458,14 +595,14 @@ export default function PlayfulEnvironmentDesigner() {
         });
 
         if (!res.ok) {
-          setScoreStatus("Unable to score interventions.");
+          setScoreStatus("scores.failed");
           setScoreSummary(null);
           return;
         }
 
         const data = await res.json();
         if (!data.matches || !data.averages) {
-          setScoreStatus("No matching interventions found.");
+          setScoreStatus("scores.none");
           setScoreSummary(null);
           return;
         }
@@ -475,7 +612,7 @@ export default function PlayfulEnvironmentDesigner() {
       } catch (error) {
         if (error.name !== "AbortError") {
           console.error("Score lookup failed:", error);
-          setScoreStatus("Unable to score interventions.");
+          setScoreStatus("scores.failed");
           setScoreSummary(null);
         }
       }
@@ -485,174 +622,288 @@ export default function PlayfulEnvironmentDesigner() {
     return () => controller.abort();
   }, [imagePrompt, location]);
 
-  const handleImageUpload = async (event) => {
-    const file = event.target.files?.[0];
-    if (!file) return;
+  const lookUpCoordinates = async ({ latitude, longitude }) => {
+    setDetectedCoordinates({ latitude, longitude });
+    setLocationStatus("location.lookingUp");
+    try {
+      const params = new URLSearchParams({ lat: `${latitude}`, lon: `${longitude}` });
+      const res = await fetch(`/api/reverse-geocode?${params.toString()}`);
+      if (res.ok) {
+        const data = await res.json();
+        if (data.displayName) {
+          setLocation(data.displayName);
+          setLocationStatus("location.detected");
+        } else {
+          setLocationStatus("location.unmapped");
+        }
+      } else {
+        setLocationStatus("location.reverseFailed");
+      }
+    } catch (error) {
+      console.error("Reverse geocoding failed:", error);
+      setLocationStatus("location.reverseFailed");
+    }
+  };
+
+  const handleUseCurrentLocation = async () => {
+    setLocationStatus("location.locating");
+    try {
+      await lookUpCoordinates(await requestCurrentPosition());
+    } catch (error) {
+      console.error("Geolocation failed:", error);
+      setLocationStatus(geolocationErrorKey(error));
+    }
+  };
 
-    clearCanvasLayer();
+  // Camera shots carry no EXIF, so they are stamped with the current time
+  // and placed with the device's location instead.
+  const loadPhoto = async (file, { fromCamera = false } = {}) => {
+    resetSketch();
+    pendingSketchRef.current = null;
+    setCurrentSessionId(null);
+    setSessionName("");
+    setSessionStatus("");
     setGeneratedImage(null);
+    setConceptHistory([]);
     setConceptSourceImage(null);
     setImageSrc("");
-    setLocationStatus("Reading image...");
+    setLocationStatus("location.reading");
     setLocation("");
     setDetectedCoordinates(null);
+    setPhotoMetadata(null);
     setAutoDescription("");
     setAutoDescriptionStatus("");
     setRefinementLog([]);
     setSketchComposite(null);
 
-    const reader = new FileReader();
-    reader.onload = () => {
-      const result = reader.result;
+    let metadata = null;
+    try {
+      metadata = await readPhotoMetadata(file);
+    } catch (error) {
+      console.error("EXIF read failed:", error);
+    }
+    if (fromCamera) {
+      metadata = {
+        coordinates: null,
+        orientation: 1,
+        heading: null,
+        headingReference: "true",
+        altitude: null,
+        ...metadata,
+        capturedAt: metadata?.capturedAt || toLocalTimestamp(new Date()),
+      };
+    }
+    setPhotoMetadata(
+      metadata && {
+        capturedAt: metadata.capturedAt,
+        orientation: metadata.orientation,
+        heading: metadata.heading,
+        headingReference: metadata.headingReference,
+        altitude: metadata.altitude,
+      }
+    );
+
+    let result = null;
+    if (metadata?.orientation > 1) {
+      try {
+        result = await orientPhoto(file);
+      } catch (error) {
+        console.error("Photo rotation failed:", error);
+      }
+    }
+    if (!result) {
+      result = await new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => resolve(null);
+        reader.readAsDataURL(file);
+      });
+    }
+    if (typeof result === "string") {
       setImageSrc(result);
-      if (AUTO_DESCRIPTION_ENABLED && typeof result === "string") {
+      if (AUTO_DESCRIPTION_ENABLED) {
         generateImageDescription(result);
       }
-    };
-    reader.readAsDataURL(file);
+    }
 
-    try {
-      const gps = await exifr.gps(file);
-      if (gps?.latitude && gps?.longitude) {
-        const latitude = Number(gps.latitude);
-        const longitude = Number(gps.longitude);
-        setDetectedCoordinates({ latitude, longitude });
-        setLocationStatus("Looking up the detected coordinates...");
-
-        const params = new URLSearchParams({ lat: `${latitude}`, lon: `${longitude}` });
-        const res = await fetch(`/api/reverse-geocode?${params.toString()}`);
-        if (res.ok) {
-          const data = await res.json();
-          if (data.displayName) {
-            setLocation(data.displayName);
-            setLocationStatus("Location detected; you can edit it below.");
-          } else {
-            setLocationStatus("Coordinates found, but we couldn't map them to a place. Please type it manually.");
-          }
-        } else {
-          setLocationStatus("Reverse geocoding failed. Please type the location manually.");
-        }
+    if (!metadata) {
+      setLocationStatus("location.gpsFailed");
+      return;
+    }
+    if (!metadata.coordinates) {
+      if (fromCamera) {
+        await handleUseCurrentLocation();
       } else {
-        setLocationStatus("No GPS metadata found; please type the location.");
+        setLocationStatus("location.noGps");
       }
-    } catch (error) {
-      console.error("EXIF read failed:", error);
-      setLocationStatus("We couldn't read GPS data; please type the location.");
+      return;
     }
+    await lookUpCoordinates(metadata.coordinates);
+  };
+
+  const handleImageUpload = (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+    loadPhoto(file);
+  };
+
+  const handleCameraCapture = (file) => {
+    setCameraOpen(false);
+    loadPhoto(file, { fromCamera: true });
+  };
+
+  const capturedAt = photoMetadata?.capturedAt || "";
+
+  useEffect(() => {
+    if (!capturedAt || (!location.trim() && !detectedCoordinates)) {
+      setSeason(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ location, date: capturedAt });
+        if (detectedCoordinates) {
+          params.set("lat", `${detectedCoordinates.latitude}`);
+          params.set("lon", `${detectedCoordinates.longitude}`);
+        }
+        const res = await fetch(`/api/location-hint?${params.toString()}`, {
+          signal: controller.signal,
+        });
+        const data = await res.json();
+        setSeason(res.ok ? data.season : null);
+      } catch (error) {
+        if (error.name !== "AbortError") {
+          console.error("Season lookup failed:", error);
+          setSeason(null);
+        }
+      }
+    }, 400);
+
+    return () => {
+      clearTimeout(timeout);
+      controller.abort();
+    };
+  }, [capturedAt, location, detectedCoordinates]);
+
+  // Retyped text no longer describes the photo's or the picked result's
+  // coordinates, so they are dropped until a search result is chosen.
+  const handleLocationChange = (value) => {
+    setLocation(value);
+    setDetectedCoordinates(null);
+    setLocationStatus("");
+  };
+
+  const handleLocationSelect = ({ displayName, lat, lon }) => {
+    setLocation(displayName);
+    setDetectedCoordinates({ latitude: lat, longitude: lon });
+    setLocationStatus("location.selected");
   };
 
   const generateImageDescription = async (dataUrl) => {
-    setAutoDescriptionStatus("Analyzing the image...");
+    setAutoDescriptionStatus("description.analyzing");
     try {
       const preview = await createPreview(dataUrl);
       const res = await fetch("/api/describe-image", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ imageData: preview }),
+        body: JSON.stringify({
+          imageData: preview,
+          language: responseLanguage?.code || "",
+        }),
       });
       const data = await res.json();
       if (res.ok && data.description) {
         setAutoDescription(data.description);
-        setAutoDescriptionStatus("Suggested description ready. You can use or edit it.");
+        setAutoDescriptionStatus("description.ready");
       } else {
-        setAutoDescriptionStatus("We couldn't auto-describe this image.");
+        setAutoDescriptionStatus("description.failed");
       }
     } catch (error) {
       console.error("Auto description failed:", error);
-      setAutoDescriptionStatus("We couldn't auto-describe this image.");
+      setAutoDescriptionStatus("description.failed");
     }
   };
 
-  const handlePromptSubmit = async () => {
-    const thinkingMessage = scenarioType === "adaptation"
-      ? "Thinking of playful ideas..."
-      : "Analyzing the vulnerability...";
-    setResponse(thinkingMessage);
-    setImagePrompt("");
-    setPromptWarning("");
+  const toPinnedIntervention = ({ id, name, cost, ease, effectiveness }) => ({
+    id,
+    name,
+    cost,
+    ease,
+    effectiveness,
+  });
 
-    const baseTag = scenarioType === "adaptation"
-      ? includePlay
-        ? `[Playful adaptation]`
-        : `[Non-play resilience]`
-      : `[Vulnerability assessment]`;
+  const togglePinnedIntervention = (item) => {
+    setPinnedInterventions((prev) =>
+      prev.some(({ id }) => id === item.id)
+        ? prev.filter(({ id }) => id !== item.id)
+        : [...prev, toPinnedIntervention(item)]
+    );
+  };
 
-    const locationContext = location
-      ? `Location: ${location}. `
-      : detectedCoordinates
-        ? `Coordinates: ${detectedCoordinates.latitude.toFixed(4)}, ${detectedCoordinates.longitude.toFixed(4)}. `
-        : "";
+  const pinInterventionPlan = (items) => {
+    setPinnedInterventions(items.map(toPinnedIntervention));
+  };
 
-    const hint = scenarioType === "adaptation"
-      ? findHint(location, detectedCoordinates)
-      : null;
-    const hintContext = hint?.hint ? ` Climate adaptation hint: ${hint.hint}` : "";
-    const speciesContext = hint?.species?.length
-      ? ` Native species ideas: ${hint.species.slice(0, 2).join(", ")}.`
-      : "";
-
-    const languageRule = detectLanguage(`${spaceDescription} ${transformation}`);
-    const languageInstruction = languageRule ? ` Respond in ${languageRule.label}.` : "";
-    const sketchContext = drawingNotes.trim() ? ` Sketch notes: ${drawingNotes.trim()}.` : "";
-
-    const scenarioDetailFallback = scenarioType === "adaptation"
-      ? includePlay
-        ? "inclusive, nature-based play elements that support local families"
-        : "climate-adaptive measures that support community resilience"
-      : includePlay
-        ? "the climate vulnerability currently affecting play"
-        : "the climate vulnerability affecting daily use";
-
-    const scenarioDetail = transformation.trim() || scenarioDetailFallback;
-    const mentionsRemoval = /(remove|take\s?away|no longer|get rid of)/i.test(transformation);
-    const imageSubject = spaceDescription.trim() || "the place shown in the image";
-
-    const mainInstruction = scenarioType === "adaptation"
-      ? `Using the provided image of ${imageSubject}, please ${mentionsRemoval ? "address" : "add"} ${scenarioDetail} in the scene. Ensure the proposal respects the existing surroundings in the image.`
-      : `Using the provided image of ${imageSubject}, describe the vulnerability (${scenarioDetail}) as it appears in the scene. Ensure the description references the existing surroundings and highlights who is affected.`;
-
-    const focusContext = scenarioType === "adaptation"
-      ? includePlay
-        ? " Describe nature-based flood/heat measures with playful touches."
-        : " Describe nature-based flood/heat measures only."
-      : includePlay
-        ? " Describe the vulnerability, who it affects, and how it disrupts play. Do not propose interventions."
-        : " Describe the vulnerability, who it affects, and how it impacts everyday use. Do not propose interventions.";
-
-    const fullPrompt = `${baseTag} ${locationContext}${mainInstruction}${sketchContext}${hintContext}${speciesContext}${focusContext}${languageInstruction}`;
+  const detectedLanguage = detectLanguage(`${spaceDescription} ${transformation}`);
+  const responseLanguage = resolveResponseLanguage(languageOverride, detectedLanguage);
+
+  const buildPromptContext = () => ({
+    scenarioType,
+    includePlay,
+    location,
+    coordinates: detectedCoordinates,
+    capturedAt: photoMetadata?.capturedAt || "",
+    spaceDescription,
+    transformation,
+    sketchLayers: sketchLegend,
+    focusLayer,
+    sketchElements: listSketchElements(sketch.strokes),
+    interventions: pinnedInterventions.map(({ name }) => name),
+    language: responseLanguage?.code || "",
+  });
+
+  const handlePromptSubmit = async () => {
+    setPromptStatus(
+      scenarioType === "adaptation" ? "prompt.thinkingAdaptation" : "prompt.thinkingVulnerability"
+    );
+    setResponse("");
+    setImagePrompt("");
+    setPromptWarning("");
 
     try {
       const res = await fetch("/api/generate-play-prompt", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ prompt: fullPrompt }),
+        body: JSON.stringify({ context: buildPromptContext() }),
       });
       const data = await res.json();
       if (res.ok && data.output) {
         setResponse(data.output);
         setImagePrompt(data.output);
+        setSelectedSpecies(data.species || []);
+        setPromptTemplate(data.template || null);
+        setPromptStatus("");
       } else {
-        setResponse(data.error || "Failed to generate a prompt.");
+        console.error("Prompt generation failed:", data.error);
+        setPromptStatus(responseErrorKey(res.status, "prompt.failed"));
       }
     } catch (error) {
       console.error("Prompt generation failed:", error);
-      setResponse("An error occurred. Please try again.");
+      setPromptStatus("prompt.error");
     }
   };
 
   const requestConceptImage = async ({
-    promptText,
+    promptRequest,
     compositeDataUrl,
     baseDataUrl,
     maskData,
     useInpainting,
     sketchProvided = true,
   }) => {
-    setImageGenerationStatus(
-      sketchProvided
-        ? "Generating AI concept image..."
-        : "Generating AI concept image (no sketch guidance)..."
-    );
+    setImageGenerationStatus(sketchProvided ? "image.generating" : "image.generatingNoSketch");
     setGeneratedImage(null);
 
     try {
@@ -660,15 +911,15 @@ export default function PlayfulEnvironmentDesigner() {
       if (useInpainting) {
         const basePreview = await createPreview(baseDataUrl);
         payload = {
-          prompt: promptText,
+          ...promptRequest,
           mode: "inpainting",
           baseImageData: basePreview,
-          maskData,
+          maskData: await createPreview(maskData, "image/png"),
         };
       } else {
         const preview = await createPreview(compositeDataUrl);
         payload = {
-          prompt: promptText,
+          ...promptRequest,
           mode: "composite",
           imageData: preview,
         };
@@ -684,29 +935,82 @@ export default function PlayfulEnvironmentDesigner() {
       if (res.ok && data.imageBase64) {
         const src = `data:${data.mimeType || "image/png"};base64,${data.imageBase64}`;
         setGeneratedImage({ src, mimeType: data.mimeType || "image/png" });
+        setConceptHistory((prev) => [
+          ...prev,
+          {
+            src,
+            mimeType: data.mimeType || "image/png",
+            prompt: data.prompt || "",
+            template: data.template || null,
+            mode: useInpainting ? "inpainting" : "composite",
+            createdAt: new Date().toISOString(),
+          },
+        ]);
         if (!useInpainting) setConceptSourceImage(src);
-        setImageGenerationStatus("Concept image ready.");
+        setImageGenerationStatus("image.ready");
       } else {
-        setImageGenerationStatus(data.error || "Failed to generate image.");
+        console.error("Concept image request failed:", data.error);
+        setImageGenerationStatus(responseErrorKey(res.status, "image.requestFailed"));
       }
     } catch (error) {
       console.error("Concept image generation failed:", error);
-      setImageGenerationStatus("Failed to generate the concept image.");
+      setImageGenerationStatus("image.failed");
     }
   };
 
+  // The composite is a photo with the sketch on top, so it is kept as a JPEG;
+  // a full-resolution PNG of it alone could exceed the session size limit.
+  const buildCompositeDataUrl = (mimeType = "image/jpeg", quality = COMPOSITE_QUALITY) => {
+    const baseImage = imageRef.current;
+    if (!baseImage?.naturalWidth) return null;
+    const compositeCanvas = document.createElement("canvas");
+    compositeCanvas.width = baseImage.naturalWidth;
+    compositeCanvas.height = baseImage.naturalHeight;
+    const compositeCtx = compositeCanvas.getContext("2d");
+    compositeCtx.drawImage(baseImage, 0, 0, compositeCanvas.width, compositeCanvas.height);
+    compositeCtx.drawImage(renderSketchCanvas(compositeCanvas.width, compositeCanvas.height), 0, 0);
+    return compositeCanvas.toDataURL(mimeType, quality);
+  };
+
+  const buildMaskDataUrl = () => {
+    const baseImage = imageRef.current;
+    if (!baseImage?.naturalWidth) return null;
+    const maskCanvas = document.createElement("canvas");
+    maskCanvas.width = baseImage.naturalWidth;
+    maskCanvas.height = baseImage.naturalHeight;
+    const maskCtx = maskCanvas.getContext("2d");
+    // With a focus layer chosen, only that layer's region is regenerated.
+    const values = maskValuesFor(
+      renderSketchCanvas(maskCanvas.width, maskCanvas.height, focusLayer ? [focusLayer.id] : null),
+      maskSettings,
+      baseImage.naturalWidth
+    );
+    const imgData = maskCtx.createImageData(maskCanvas.width, maskCanvas.height);
+    const { data } = imgData;
+    for (let i = 0; i < values.length; i += 1) {
+      data[i * 4] = values[i];
+      data[i * 4 + 1] = values[i];
+      data[i * 4 + 2] = values[i];
+      data[i * 4 + 3] = 255;
+    }
+    maskCtx.putImageData(imgData, 0, 0);
+    return maskCanvas.toDataURL("image/png");
+  };
+
   const handleGenerateImage = async () => {
     if (!GEMINI_IMAGE_ENABLED) return;
-    if (!canvasRef.current || !imageRef.current || !imagePrompt.trim()) {
-      setImageGenerationStatus("Please upload an image and generate the prompt first.");
+    if (!layerRef.current || !imageRef.current || !imagePrompt.trim()) {
+      setImageGenerationStatus("image.needPrompt");
       return;
     }
 
-    const geminiPrompt = buildGeminiPrompt();
-    if (!geminiPrompt) {
-      setImageGenerationStatus("Prompt is empty. Please describe the scene first.");
-      return;
-    }
+    const promptRequest = {
+      context: {
+        ...buildPromptContext(),
+        userPrompt: imagePrompt,
+        speciesIds: selectedSpecies.map(({ id }) => id),
+      },
+    };
     setRefinementLog([]);
 
     try {
@@ -720,53 +1024,22 @@ export default function PlayfulEnvironmentDesigner() {
         baseCtx.drawImage(baseImage, 0, 0, baseCanvas.width, baseCanvas.height);
         const baseData = baseCanvas.toDataURL("image/png");
 
-        const maskCanvas = document.createElement("canvas");
-        maskCanvas.width = baseCanvas.width;
-        maskCanvas.height = baseCanvas.height;
-        const maskCtx = maskCanvas.getContext("2d");
-        maskCtx.fillStyle = "black";
-        maskCtx.fillRect(0, 0, maskCanvas.width, maskCanvas.height);
-        maskCtx.drawImage(canvasRef.current, 0, 0, maskCanvas.width, maskCanvas.height);
-        const imgData = maskCtx.getImageData(0, 0, maskCanvas.width, maskCanvas.height);
-        const { data } = imgData;
-        for (let i = 0; i < data.length; i += 4) {
-          const alpha = data[i + 3];
-          if (alpha > 0) {
-            data[i] = 255;
-            data[i + 1] = 255;
-            data[i + 2] = 255;
-            data[i + 3] = 255;
-          } else {
-            data[i] = 0;
-            data[i + 1] = 0;
-            data[i + 2] = 0;
-            data[i + 3] = 255;
-          }
-        }
-        maskCtx.putImageData(imgData, 0, 0);
-        const maskData = maskCanvas.toDataURL("image/png");
+        const maskData = buildMaskDataUrl();
 
         await requestConceptImage({
-          promptText: geminiPrompt,
+          promptRequest,
           baseDataUrl: baseData,
           maskData,
           useInpainting: true,
           sketchProvided: true,
         });
       } else {
-        const compositeCanvas = document.createElement("canvas");
-        const baseImage = imageRef.current;
-        compositeCanvas.width = baseImage.naturalWidth || baseImage.width;
-        compositeCanvas.height = baseImage.naturalHeight || baseImage.height;
-        const compositeCtx = compositeCanvas.getContext("2d");
-        compositeCtx.drawImage(baseImage, 0, 0, compositeCanvas.width, compositeCanvas.height);
-        compositeCtx.drawImage(canvasRef.current, 0, 0, compositeCanvas.width, compositeCanvas.height);
-        const compositeData = compositeCanvas.toDataURL("image/png");
+        const compositeData = buildCompositeDataUrl();
 
         setConceptSourceImage(compositeData);
         setSketchComposite(compositeData);
         await requestConceptImage({
-          promptText: geminiPrompt,
+          promptRequest,
           compositeDataUrl: compositeData,
           useInpainting: false,
           sketchProvided: hasSketch,
@@ -774,7 +1047,7 @@ export default function PlayfulEnvironmentDesigner() {
       }
     } catch (error) {
       console.error("Prepare image failed:", error);
-      setImageGenerationStatus("Could not prepare the image for generation.");
+      setImageGenerationStatus("image.prepareFailed");
     }
   };
 
@@ -782,7 +1055,7 @@ export default function PlayfulEnvironmentDesigner() {
     if (!conceptSourceImage || !refinePrompt.trim()) return;
     const promptText = refinePrompt.trim();
     await requestConceptImage({
-      promptText,
+      promptRequest: { refinement: promptText },
       compositeDataUrl: conceptSourceImage,
       useInpainting: false,
       sketchProvided: true,
@@ -798,120 +1071,416 @@ export default function PlayfulEnvironmentDesigner() {
     setRefinePrompt("");
   };
 
-  const handleDownloadSession = () => {
-    if (!generatedImage) {
-      setImageGenerationStatus("Generate an image before downloading the session.");
+  // The sketch at the photo's natural size, for the archive's sketch layer.
+  const buildSketchLayerDataUrl = () => {
+    const base = imageRef.current;
+    if (!base?.naturalWidth || isSketchEmpty(sketch)) return null;
+    return renderSketchCanvas(base.naturalWidth, base.naturalHeight).toDataURL("image/png");
+  };
+
+  const handleDownloadSession = async () => {
+    if (!imageSrc) {
+      setSessionStatus("export.sessionNeedsPhoto");
       return;
     }
 
     try {
-      const exportedAt = new Date();
-      const dateLabel = exportedAt.toLocaleDateString();
-      const timeLabel = exportedAt.toLocaleTimeString();
-      const timestampLabel = exportedAt.toISOString();
-      const locationLabel = location || (detectedCoordinates ? "Detected via GPS" : "Not provided");
-      const latitudeLabel = detectedCoordinates ? detectedCoordinates.latitude.toFixed(4) : "";
-      const longitudeLabel = detectedCoordinates ? detectedCoordinates.longitude.toFixed(4) : "";
-      const refinementSummary = refinementLog.length
-        ? refinementLog
-            .map(
-              ({ prompt, timestamp }, index) =>
-                `${index + 1}. ${new Date(timestamp).toLocaleString()} — ${prompt}`
-            )
-            .join(" | ")
-        : "None";
-      const scoreText =
-        scoreSummary && scoreSummary.averages
-          ? `Matches: ${scoreSummary.matches}; Cost ${scoreSummary.averages.cost.toFixed(
-            1
-          )}/5; Ease ${scoreSummary.averages.ease.toFixed(1)}/5; Effectiveness ${scoreSummary.averages.effectiveness.toFixed(
-            1
-          )}/5`
-          : "Not available";
-
-      const dataFields = [
-        { field: "Space description", value: spaceDescription || "Not provided" },
-        { field: "Transformation", value: transformation || "Not provided" },
-        { field: "Sketch notes", value: drawingNotes || "Not provided" },
-        { field: "Scenario type", value: scenarioType },
-        { field: "Include play", value: includePlay ? "Yes" : "No" },
-        { field: "Generated prompt", value: imagePrompt || "Not generated" },
-        { field: "Auto description", value: autoDescription || "Not requested" },
-        { field: "Score summary", value: scoreText },
-        { field: "Image status", value: imageGenerationStatus || "Not started" },
-        { field: "Generated image (data URL)", value: generatedImage?.src || "Not available" },
-      ];
-
-      const headers = [
-        "Field",
-        "Value",
-        "Location",
-        "Latitude",
-        "Longitude",
-        "Date",
-        "Timestamp",
-        "Local Time",
-        "Refinement log",
-      ];
-      const csvRows = [headers];
-      dataFields.forEach(({ field, value }) => {
-        csvRows.push([
-          field,
-          value,
-          locationLabel,
-          latitudeLabel,
-          longitudeLabel,
-          dateLabel,
-          timestampLabel,
-          timeLabel,
-          refinementSummary,
-        ]);
+      const session = normalizeSession(buildSessionSnapshot());
+      const archive = await buildSessionArchive({
+        session,
+        maskData: hasSketch ? buildMaskDataUrl() : null,
+        sketchLayer: buildSketchLayerDataUrl(),
+        sketchSvg:
+          layerRef.current && !isSketchEmpty(sketch)
+            ? sketchToSvg(sketch, {
+                width: layerRef.current.width,
+                height: layerRef.current.height,
+              })
+            : null,
       });
-      const csvContent = csvRows
-        .map((row) =>
-          row
-            .map((cell) => {
-              const str = String(cell ?? "");
-              if (/[,"\n]/.test(str)) {
-                return `"${str.replace(/"/g, '""')}"`;
-              }
-              return str;
-            })
-            .join(",")
-        )
-        .join("\n");
-      const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
-      const url = URL.createObjectURL(blob);
+      const url = URL.createObjectURL(archive);
       const anchor = document.createElement("a");
       anchor.href = url;
-      anchor.download = `playful-session-${exportedAt.getTime()}.csv`;
+      anchor.download = `playful-session-${Date.now()}.zip`;
       document.body.appendChild(anchor);
       anchor.click();
       document.body.removeChild(anchor);
       URL.revokeObjectURL(url);
     } catch (error) {
-      console.error("Excel export failed:", error);
-      setImageGenerationStatus("Could not download the session file.");
+      console.error("Session export failed:", error);
+      setSessionStatus("export.sessionFailed");
+    }
+  };
+
+  const handleDownloadReport = async () => {
+    if (!imageSrc) {
+      setSessionStatus("export.reportNeedsPhoto");
+      return;
+    }
+
+    try {
+      const { buildSessionReport } = await import("@/lib/sessionReport");
+      const report = buildSessionReport({
+        session: normalizeSession(buildSessionSnapshot()),
+        overlayData: buildCompositeDataUrl("image/jpeg", 0.85),
+      });
+      const url = URL.createObjectURL(report);
+      const anchor = document.createElement("a");
+      anchor.href = url;
+      anchor.download = `playful-report-${Date.now()}.pdf`;
+      document.body.appendChild(anchor);
+      anchor.click();
+      document.body.removeChild(anchor);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Report export failed:", error);
+      setSessionStatus("export.reportFailed");
+    }
+  };
+
+  const buildSessionSnapshot = () => ({
+    name: sessionName.trim() || location || t("sessions.untitled"),
+    imageSrc,
+    sketchData: sketch.raster,
+    sketchLayers: sketch.layers,
+    sketchStrokes: sketch.strokes,
+    location,
+    detectedCoordinates,
+    photoMetadata,
+    scenarioType,
+    includePlay,
+    spaceDescription,
+    transformation,
+    languageOverride,
+    autoDescription,
+    response,
+    imagePrompt,
+    promptTemplate,
+    scoreSummary,
+    pinnedInterventions,
+    selectedSpecies,
+    generatedImage,
+    conceptHistory,
+    conceptSourceImage,
+    sketchComposite,
+    refinementLog,
+  });
+
+  const applySession = (session) => {
+    const restored = normalizeSession(session);
+    resetSketch();
+    pendingSketchRef.current = {
+      raster: restored.sketchData,
+      layers: restored.sketchLayers,
+      strokes: restored.sketchStrokes,
+    };
+    setActiveLayerId(restored.sketchLayers[0].id);
+    setFocusLayerId("");
+    restoredScoreKeyRef.current = restored.scoreSummary
+      ? `${restored.imagePrompt}|${restored.location}`
+      : null;
+    setImageSrc(restored.imageSrc || "");
+    setSessionName(restored.name);
+    setLocation(restored.location);
+    setDetectedCoordinates(restored.detectedCoordinates);
+    setPhotoMetadata(restored.photoMetadata);
+    setLocationStatus("");
+    setScenarioType(restored.scenarioType);
+    setIncludePlay(restored.includePlay);
+    setSpaceDescription(restored.spaceDescription);
+    setTransformation(restored.transformation);
+    setLanguageOverride(restored.languageOverride);
+    setAutoDescription(restored.autoDescription);
+    setAutoDescriptionStatus("");
+    setResponse(restored.response);
+    setPromptStatus("");
+    setImagePrompt(restored.imagePrompt);
+    setPromptTemplate(restored.promptTemplate);
+    setPromptWarning("");
+    setScoreSummary(restored.scoreSummary);
+    setScoreStatus("");
+    setPinnedInterventions(restored.pinnedInterventions);
+    setSelectedSpecies(restored.selectedSpecies);
+    setGeneratedImage(restored.generatedImage);
+    setConceptHistory(restored.conceptHistory);
+    setConceptSourceImage(restored.conceptSourceImage);
+    setSketchComposite(restored.sketchComposite);
+    setRefinementLog(restored.refinementLog);
+    setRefinePrompt("");
+    setImageGenerationStatus("");
+    if (restored.imageSrc && restored.imageSrc === imageSrc) {
+      applyPendingSketch();
+    }
+  };
+
+  const refreshSavedSessions = async () => {
+    try {
+      const res = await fetch("/api/sessions");
+      const data = await res.json();
+      if (res.ok) {
+        setSavedSessions(data.sessions || []);
+        setSessionListFailed(false);
+      } else {
+        console.error("Session listing failed:", data.error);
+        setSessionListFailed(true);
+      }
+    } catch (error) {
+      console.error("Session listing failed:", error);
+      setSessionListFailed(true);
+    }
+  };
+
+  useEffect(() => {
+    refreshSavedSessions();
+  }, []);
+
+  const handleSaveSession = async () => {
+    if (!imageSrc) {
+      setSessionStatus("sessions.needPhoto");
+      return;
+    }
+
+    setSessionStatus("sessions.saving");
+    try {
+      const res = await fetch(
+        currentSessionId ? `/api/sessions/${currentSessionId}` : "/api/sessions",
+        {
+          method: currentSessionId ? "PUT" : "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(packSessionImages(buildSessionSnapshot())),
+        }
+      );
+      const data = await res.json().catch(() => ({}));
+      if (res.ok && data.session) {
+        setCurrentSessionId(data.session.id);
+        setSessionName(data.session.name);
+        setSessionStatus({
+          key: "sessions.saved",
+          params: { time: new Date(data.session.updatedAt).toLocaleTimeString(locale) },
+        });
+        refreshSavedSessions();
+      } else {
+        console.error("Session save failed:", data.error);
+        setSessionStatus(responseErrorKey(res.status, "sessions.saveFailed"));
+      }
+    } catch (error) {
+      console.error("Session save failed:", error);
+      setSessionStatus("sessions.saveFailed");
+    }
+  };
+
+  const handleOpenSession = async (id) => {
+    setSessionStatus("sessions.opening");
+    try {
+      const res = await fetch(`/api/sessions/${id}`);
+      const data = await res.json();
+      if (res.ok && data.session) {
+        applySession(data.session);
+        setCurrentSessionId(data.session.id);
+        setSessionStatus({ key: "sessions.opened", params: { name: data.session.name } });
+      } else {
+        console.error("Session load failed:", data.error);
+        setSessionStatus(responseErrorKey(res.status, "sessions.openFailed"));
+      }
+    } catch (error) {
+      console.error("Session load failed:", error);
+      setSessionStatus("sessions.openFailed");
+    }
+  };
+
+  const handleImportSession = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setSessionStatus("sessions.openingFile");
+    try {
+      const session = await readSessionArchive(file);
+      if (!session.imageSrc) {
+        setSessionStatus("sessions.fileMissingPhoto");
+        return;
+      }
+      applySession(session);
+      setCurrentSessionId(null);
+      setSessionStatus({
+        key: "sessions.openedFile",
+        params: { name: session.name || file.name },
+      });
+    } catch (error) {
+      if (error instanceof SessionFormatError) {
+        setSessionStatus({ key: `sessions.format.${error.code}`, params: error.params });
+        return;
+      }
+      console.error("Session import failed:", error);
+      setSessionStatus("sessions.fileFailed");
+    }
+  };
+
+  const handleDeleteSession = async (id) => {
+    try {
+      const res = await fetch(`/api/sessions/${id}`, { method: "DELETE" });
+      if (res.ok) {
+        if (id === currentSessionId) setCurrentSessionId(null);
+        setSessionStatus("sessions.deleted");
+        refreshSavedSessions();
+      } else {
+        const data = await res.json().catch(() => ({}));
+        console.error("Session delete failed:", data.error);
+        setSessionStatus(responseErrorKey(res.status, "sessions.deleteFailed"));
+      }
+    } catch (error) {
+      console.error("Session delete failed:", error);
+      setSessionStatus("sessions.deleteFailed");
     }
   };
 
-  const sketchLegend = drawingNotes
-    .split("\n")
-    .map((entry) => entry.trim())
-    .filter(Boolean);
   const canGenerateImage = Boolean(
     GEMINI_IMAGE_ENABLED && imageSrc && imagePrompt.trim()
   );
+  const photoDetails = photoMetadata
+    ? [
+        capturedAt &&
+          t("photo.captured", {
+            date: new Date(capturedAt.slice(0, 19)).toLocaleString(locale, {
+              dateStyle: "medium",
+              timeStyle: "short",
+            }),
+          }),
+        season && t(`photo.season.${season.season}`),
+        photoMetadata.heading !== null &&
+          t("photo.heading", {
+            direction: compassPoint(photoMetadata.heading),
+            degrees: Math.round(photoMetadata.heading),
+          }),
+        photoMetadata.altitude !== null &&
+          t("photo.altitude", { altitude: Math.round(photoMetadata.altitude) }),
+      ].filter(Boolean)
+    : [];
   const canvasCursor =
-    tool === "eyedropper" ? "copy" : tool === "eraser" ? "cell" : "crosshair";
+    tool === "eyedropper"
+      ? "copy"
+      : tool === "eraser"
+        ? "cell"
+        : tool === "text"
+          ? "text"
+          : "crosshair";
   const opacityPercent = Math.round(brushOpacity * 100);
 
   return (
     <div className="p-4 grid gap-6 max-w-4xl mx-auto">
-      <h1 className="text-3xl font-bold text-center mb-4">Playful Environment Designer</h1>
+      <div className="flex justify-end text-sm">
+        <label htmlFor="interface-locale" className="mr-2 text-gray-700">
+          {t("app.interfaceLanguage")}
+        </label>
+        <select
+          id="interface-locale"
+          className="border rounded px-2 py-1"
+          value={locale}
+          onChange={(e) => handleLocaleChange(e.target.value)}
+        >
+          {LOCALES.map(({ code, label }) => (
+            <option key={code} value={code} lang={code}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <h1 className="text-3xl font-bold text-center mb-4">{t("app.title")}</h1>
+      {MOCK_MODE_ENABLED && (
+        <p className="rounded border border-amber-300 bg-amber-50 px-3 py-2 text-sm text-amber-800 text-center">
+          {t("app.mockMode")}
+        </p>
+      )}
+
+      <div className="rounded border bg-white p-4 shadow-sm text-gray-800">
+        <div className="flex items-center justify-between mb-2">
+          <p className="text-sm font-semibold">{t("sessions.title")}</p>
+          <input
+            type="file"
+            accept=".zip,.json,.csv,application/zip,application/json"
+            ref={sessionFileInputRef}
+            onChange={handleImportSession}
+            className="hidden"
+          />
+          <button
+            type="button"
+            className="rounded border px-3 py-1 text-sm hover:bg-gray-50"
+            onClick={() => sessionFileInputRef.current?.click()}
+          >
+            {t("sessions.open")}
+          </button>
+        </div>
+        {imageSrc && (
+          <>
+            <div className="flex gap-2 mb-2">
+              <input
+                className="border p-2 flex-1 text-sm"
+                value={sessionName}
+                onChange={(e) => setSessionName(e.target.value)}
+                placeholder={t("sessions.namePlaceholder")}
+              />
+              <button
+                type="button"
+                className="rounded bg-slate-700 text-white px-3 py-1 text-sm hover:bg-slate-600"
+                onClick={handleSaveSession}
+              >
+                {currentSessionId ? t("sessions.update") : t("sessions.save")}
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-2 mb-2">
+              <button
+                type="button"
+                className="rounded border border-slate-700 px-3 py-1 text-sm text-slate-700 hover:bg-slate-50"
+                onClick={handleDownloadSession}
+              >
+                {t("export.session")}
+              </button>
+              <button
+                type="button"
+                className="rounded border border-sky-700 px-3 py-1 text-sm text-sky-700 hover:bg-sky-50"
+                onClick={handleDownloadReport}
+              >
+                {t("export.report")}
+              </button>
+            </div>
+          </>
+        )}
+        {sessionStatus && <p className="text-sm text-gray-600 mb-2">{translateStatus(t, sessionStatus)}</p>}
+        {savedSessions.length ? (
+          <ul className="text-sm divide-y max-h-48 overflow-auto">
+            {savedSessions.map((saved) => (
+              <li key={saved.id} className="flex items-center gap-2 py-1">
+                <span className="flex-1 truncate">
+                  <span className="font-medium">{saved.name || t("sessions.untitled")}</span>
+                  {saved.location && <span className="text-gray-500"> · {saved.location}</span>}
+                  <span className="text-gray-500"> · {new Date(saved.updatedAt).toLocaleString(locale)}</span>
+                </span>
+                <button
+                  type="button"
+                  className="text-blue-600 underline"
+                  onClick={() => handleOpenSession(saved.id)}
+                >
+                  {t("sessions.openItem")}
+                </button>
+                <button
+                  type="button"
+                  className="text-red-600 underline"
+                  onClick={() => handleDeleteSession(saved.id)}
+                >
+                  {t("sessions.delete")}
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-xs text-gray-500">
+            {sessionListFailed ? t("sessions.listFailed") : t("sessions.empty")}
+          </p>
+        )}
+      </div>
 
       <div>
-        <label className="block mb-2 font-medium">Step 1: Upload an image</label>
+        <label className="block mb-2 font-medium">{t("upload.label")}</label>
         <input
           type="file"
           accept="image/*"
@@ -925,8 +1494,22 @@ export default function PlayfulEnvironmentDesigner() {
           style={{ backgroundColor: "#8d4ec4" }}
           onClick={() => fileInputRef.current?.click()}
         >
-          Choose a photo
+          {t("upload.choose")}
         </button>
+        <button
+          type="button"
+          className="ml-2 rounded border border-purple-600 px-4 py-2 text-purple-700 hover:bg-purple-50"
+          onClick={() => setCameraOpen(true)}
+        >
+          {t("upload.takePhoto")}
+        </button>
+        {cameraOpen && (
+          <CameraCapture
+            onCapture={handleCameraCapture}
+            onClose={() => setCameraOpen(false)}
+            t={t}
+          />
+        )}
       </div>
 
       {imageSrc && (
@@ -936,12 +1519,13 @@ export default function PlayfulEnvironmentDesigner() {
               <img
                 ref={imageRef}
                 src={imageSrc}
-                alt="Uploaded"
+                alt={t("upload.alt")}
                 className="block w-full"
+                onLoad={applyPendingSketch}
               />
               <canvas
                 ref={canvasRef}
-                className="absolute inset-0"
+                className="absolute inset-0 h-full w-full"
                 style={{ touchAction: "none", cursor: canvasCursor }}
                 onPointerDown={handlePointerDown}
                 onPointerMove={handlePointerMove}
@@ -949,12 +1533,19 @@ export default function PlayfulEnvironmentDesigner() {
                 onPointerLeave={handlePointerLeave}
                 onPointerCancel={handlePointerCancel}
               />
+              {maskPreview && sketchLegend.length > 0 && (
+                <canvas
+                  ref={maskPreviewRef}
+                  className="pointer-events-none absolute inset-0 h-full w-full"
+                  aria-hidden="true"
+                />
+              )}
             </div>
 
             <div className="rounded border bg-white p-4 shadow-sm">
-              <p className="text-sm font-semibold text-gray-800 mb-3">Sketch controls</p>
-              <div className="flex gap-2 mb-3">
-                {TOOL_OPTIONS.map(({ id, label, icon }) => (
+              <p className="text-sm font-semibold text-gray-800 mb-3">{t("sketch.controls")}</p>
+              <div className="flex flex-wrap gap-2 mb-3">
+                {TOOL_OPTIONS.map(({ id, labelKey, icon }) => (
                   <button
                     key={id}
                     type="button"
@@ -968,26 +1559,26 @@ export default function PlayfulEnvironmentDesigner() {
                     <span className="mr-1" aria-hidden="true">
                       {icon}
                     </span>
-                    {label}
+                    {t(labelKey)}
                   </button>
                 ))}
               </div>
 
               <div className="mb-3">
                 <label className="block text-xs font-semibold uppercase text-gray-500 mb-1">
-                  Brush color
+                  {t("sketch.layerColor", { name: activeLayer.name })}
                 </label>
                 <div className="flex items-center gap-3">
                   <input
                     type="color"
-                    value={brushColor}
-                    onChange={(e) => setBrushColor(e.target.value)}
+                    value={activeLayer.color}
+                    onChange={(e) => handleUpdateLayer(activeLayer.id, { color: e.target.value })}
                     className="h-10 w-16 bg-transparent border border-gray-300 rounded cursor-pointer"
-                    aria-label="Pick brush color"
+                    aria-label={t("sketch.pickLayerColor")}
                   />
                   <div className="flex-1">
                     <div className="flex justify-between text-xs text-gray-500">
-                      <span>Opacity</span>
+                      <span>{t("sketch.opacity")}</span>
                       <span>{opacityPercent}%</span>
                     </div>
                     <input
@@ -1005,7 +1596,7 @@ export default function PlayfulEnvironmentDesigner() {
 
               <div className="mb-3">
                 <div className="flex justify-between text-xs text-gray-500">
-                  <span className="font-semibold uppercase">Brush size</span>
+                  <span className="font-semibold uppercase">{t("sketch.brushSize")}</span>
                   <span>{brushSize}px</span>
                 </div>
                 <input
@@ -1018,79 +1609,195 @@ export default function PlayfulEnvironmentDesigner() {
                 />
               </div>
 
+              {tool === "stamp" && (
+                <div className="mb-3">
+                  <p className="text-xs font-semibold uppercase text-gray-500 mb-1">
+                    {t("sketch.stamps")}
+                  </p>
+                  <div className="grid grid-cols-3 gap-2">
+                    {SKETCH_STAMPS.map(({ id, path }) => (
+                      <button
+                        key={id}
+                        type="button"
+                        className={`flex flex-col items-center gap-1 rounded border px-2 py-1 text-xs transition ${
+                          stampId === id
+                            ? "border-teal-600 bg-teal-50 text-teal-800"
+                            : "border-gray-300 bg-white text-gray-700 hover:border-gray-400"
+                        }`}
+                        onClick={() => setStampId(id)}
+                        aria-pressed={stampId === id}
+                      >
+                        <svg viewBox="0 0 24 24" className="h-6 w-6" aria-hidden="true">
+                          <path d={path} fill={activeLayer.color} fillRule="evenodd" />
+                        </svg>
+                        {t(`sketch.stamp.${id}`)}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {LABELED_SKETCH_TOOLS.includes(tool) && (
+                <div className="mb-3">
+                  <label
+                    htmlFor="sketch-element-label"
+                    className="block text-xs font-semibold uppercase text-gray-500 mb-1"
+                  >
+                    {t(tool === "text" ? "sketch.text" : "sketch.elementLabel")}
+                  </label>
+                  <input
+                    id="sketch-element-label"
+                    type="text"
+                    className="w-full rounded border px-2 py-1 text-sm"
+                    value={elementLabel}
+                    maxLength={80}
+                    onChange={(e) => setElementLabel(e.target.value)}
+                    placeholder={t(
+                      tool === "stamp"
+                        ? "sketch.stampLabelPlaceholder"
+                        : "sketch.elementLabelPlaceholder"
+                    )}
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    {t(
+                      tool === "text" && !elementLabel.trim()
+                        ? "sketch.textNeedsLabel"
+                        : "sketch.elementLabelHint"
+                    )}
+                  </p>
+                </div>
+              )}
+
               <div className="flex gap-2 mb-2 bg-gray-100 rounded p-2">
                 <button
                   type="button"
                   className="flex-1 rounded border px-3 py-1 text-sm bg-white hover:bg-gray-50 flex items-center justify-center gap-2 transition disabled:text-gray-500 disabled:border-gray-400 disabled:bg-white disabled:shadow-none disabled:cursor-not-allowed shadow-sm"
                   onClick={handleUndoSketch}
-                  disabled={!canUndo}
+                  disabled={!canUndoSketch(sketchHistory)}
                 >
                   <span aria-hidden="true">↺</span>
-                  <span>Undo stroke</span>
+                  <span>{t("sketch.undo")}</span>
+                </button>
+                <button
+                  type="button"
+                  className="flex-1 rounded border px-3 py-1 text-sm bg-white hover:bg-gray-50 flex items-center justify-center gap-2 transition disabled:text-gray-500 disabled:border-gray-400 disabled:bg-white disabled:shadow-none disabled:cursor-not-allowed shadow-sm"
+                  onClick={handleRedoSketch}
+                  disabled={!canRedoSketch(sketchHistory)}
+                >
+                  <span aria-hidden="true">↻</span>
+                  <span>{t("sketch.redo")}</span>
                 </button>
                 <button
                   type="button"
                   className="flex-1 rounded border px-3 py-1 text-sm bg-white hover:bg-gray-50 flex items-center justify-center gap-2 transition disabled:text-gray-500 disabled:border-gray-400 disabled:bg-white disabled:shadow-none disabled:cursor-not-allowed shadow-sm"
                   onClick={handleClearSketch}
-                  disabled={!hasSketch}
+                  disabled={isSketchEmpty(sketch)}
                 >
                   <span aria-hidden="true">🧹</span>
-                  <span>Clear sketch</span>
+                  <span>{t("sketch.clear")}</span>
                 </button>
               </div>
+              <button
+                type="button"
+                className="mb-2 w-full rounded border px-3 py-1 text-sm bg-white hover:bg-gray-50 disabled:text-gray-500 disabled:cursor-not-allowed"
+                onClick={handleExportSketchSvg}
+                disabled={isSketchEmpty(sketch)}
+              >
+                {t("sketch.exportSvg")}
+              </button>
 
               <div className="border-t pt-3">
                 <p className="text-xs font-semibold uppercase text-gray-500 mb-1">
-                  Sketch legend
+                  {t("sketch.legend")}
                 </p>
-                {sketchLegend.length ? (
-                  <ul className="text-sm text-gray-700 list-disc list-inside space-y-1 max-h-32 overflow-auto">
-                    {sketchLegend.map((item, index) => (
-                      <li key={`${item}-${index}`}>{item}</li>
-                    ))}
-                  </ul>
-                ) : (
-                  <p className="text-xs text-gray-500">
-                    Add legend notes in Step 4 to remind Gemini what each color or shape represents.
-                  </p>
-                )}
+                <ul className="space-y-1 max-h-40 overflow-auto">
+                  {sketch.layers.map((layer) => (
+                    <li key={layer.id} className="flex items-center gap-1 text-sm">
+                      <button
+                        type="button"
+                        className="w-7 shrink-0 rounded px-1 py-1 hover:bg-gray-100"
+                        onClick={() => handleUpdateLayer(layer.id, { visible: !layer.visible })}
+                        aria-pressed={layer.visible}
+                        title={t(layer.visible ? "sketch.hideLayer" : "sketch.showLayer", {
+                          name: layer.name,
+                        })}
+                      >
+                        <span aria-hidden="true">{layer.visible ? "👁" : "◌"}</span>
+                      </button>
+                      <button
+                        type="button"
+                        className={`flex min-w-0 flex-1 items-center gap-2 rounded px-2 py-1 text-left ${
+                          layer.id === activeLayer.id
+                            ? "bg-teal-50 ring-1 ring-teal-600"
+                            : "hover:bg-gray-50"
+                        } ${layer.visible ? "text-gray-800" : "text-gray-400"}`}
+                        onClick={() => setActiveLayerId(layer.id)}
+                        aria-pressed={layer.id === activeLayer.id}
+                      >
+                        <span
+                          className="h-3 w-3 shrink-0 rounded-full border border-gray-300"
+                          style={{ backgroundColor: layer.color }}
+                          aria-hidden="true"
+                        />
+                        <span className="font-medium">{layer.name}</span>
+                        {layer.meaning && (
+                          <span className="truncate text-gray-500">— {layer.meaning}</span>
+                        )}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+                <p className="mt-1 text-xs text-gray-500">{t("sketch.legendHint")}</p>
               </div>
             </div>
           </div>
 
           <div>
-            <label className="block mb-2 font-medium">Step 2: Confirm the location</label>
-            <input
-              className="border p-2 w-full"
+            <label className="block mb-2 font-medium">{t("location.label")}</label>
+            <LocationSearch
               value={location}
-              onChange={(e) => setLocation(e.target.value)}
-              placeholder="Town / city / country"
+              onChange={handleLocationChange}
+              onSelect={handleLocationSelect}
+              locale={locale}
+              t={t}
             />
-            <div className="text-sm text-gray-500 mt-1">{locationStatus}</div>
-            {(location || detectedCoordinates) && (
+            <div className="text-sm text-gray-500 mt-1">{locationStatus && t(locationStatus)}</div>
+            {photoDetails.length > 0 && (
+              <p className="text-sm text-gray-600 mt-1">{photoDetails.join(" · ")}</p>
+            )}
+            <div className="flex flex-wrap gap-4">
               <button
                 type="button"
                 className="text-sm text-blue-600 underline mt-1"
-                onClick={() => {
-                  setLocation("");
-                  setDetectedCoordinates(null);
-                  setLocationStatus("Location cleared.");
-                }}
+                onClick={handleUseCurrentLocation}
               >
-                Clear location
+                {t("location.useCurrent")}
               </button>
-            )}
+              {(location || detectedCoordinates) && (
+                <button
+                  type="button"
+                  className="text-sm text-blue-600 underline mt-1"
+                  onClick={() => {
+                    setLocation("");
+                    setDetectedCoordinates(null);
+                    setLocationStatus("location.cleared");
+                  }}
+                >
+                  {t("location.clear")}
+                </button>
+              )}
+            </div>
           </div>
 
           <div>
             <label className="block mb-2 font-medium">
-              Step 3: {scenarioType === "vulnerability"
-                ? "Describe the vulnerable areas in the image. What is happening? Who is affected?"
-                : "Describe space or place in image. What is it? What is in it?"}
+              {scenarioType === "vulnerability"
+                ? t("description.labelVulnerability")
+                : t("description.labelAdaptation")}
             </label>
             {AUTO_DESCRIPTION_ENABLED && (
               <div className="mb-2 rounded border border-gray-200 bg-gray-50 p-3 text-sm text-black">
-                {autoDescriptionStatus}
+                {autoDescriptionStatus && t(autoDescriptionStatus)}
                 {autoDescription && (
                   <div className="mt-2">
                     <p className="mb-2">{autoDescription}</p>
@@ -1098,19 +1805,19 @@ export default function PlayfulEnvironmentDesigner() {
                       className="rounded bg-blue-500 text-white px-3 py-1 mr-2"
                       onClick={() => {
                         setSpaceDescription(autoDescription);
-                        setAutoDescriptionStatus("Description inserted; feel free to edit.");
+                        setAutoDescriptionStatus("description.inserted");
                       }}
                     >
-                      Use this description
+                      {t("description.use")}
                     </button>
                     <button
                       className="rounded border px-3 py-1"
                       onClick={() => {
                         setAutoDescription("");
-                        setAutoDescriptionStatus("Description dismissed.");
+                        setAutoDescriptionStatus("description.dismissed");
                       }}
                     >
-                      Dismiss
+                      {t("description.dismiss")}
                     </button>
                   </div>
                 )}
@@ -1125,18 +1832,65 @@ export default function PlayfulEnvironmentDesigner() {
           </div>
 
           <div>
-            <label className="block mb-2 font-medium">Step 4: Sketch notes (color + meaning)</label>
-            <textarea
-              className="border p-2 w-full"
-              rows={2}
-              placeholder="e.g., Green arcs = papyrus reedbed"
-              value={drawingNotes}
-              onChange={(e) => setDrawingNotes(e.target.value)}
-            />
+            <p className="block mb-2 font-medium">{t("layers.label")}</p>
+            <div className="grid gap-2">
+              {sketch.layers.map((layer) => (
+                <div key={layer.id} className="flex flex-wrap items-center gap-2">
+                  <input
+                    type="color"
+                    value={layer.color}
+                    onChange={(e) => handleUpdateLayer(layer.id, { color: e.target.value })}
+                    className="h-10 w-12 bg-transparent border border-gray-300 rounded cursor-pointer"
+                    aria-label={t("layers.color", { name: layer.name })}
+                  />
+                  <input
+                    type="text"
+                    className="border p-2 w-40"
+                    value={layer.name}
+                    maxLength={40}
+                    onChange={(e) => handleUpdateLayer(layer.id, { name: e.target.value })}
+                    aria-label={t("layers.name")}
+                    placeholder={t("layers.name")}
+                  />
+                  <input
+                    type="text"
+                    className="border p-2 flex-1 min-w-[12rem]"
+                    value={layer.meaning}
+                    maxLength={160}
+                    onChange={(e) => handleUpdateLayer(layer.id, { meaning: e.target.value })}
+                    aria-label={t("layers.meaning", { name: layer.name })}
+                    placeholder={t("layers.meaningPlaceholder")}
+                  />
+                  <label className="flex items-center gap-1 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={layer.visible}
+                      onChange={(e) => handleUpdateLayer(layer.id, { visible: e.target.checked })}
+                    />
+                    {t("layers.visible")}
+                  </label>
+                  <button
+                    type="button"
+                    className="text-sm text-red-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                    onClick={() => handleDeleteLayer(layer.id)}
+                    disabled={sketch.layers.length < 2}
+                  >
+                    {t("layers.delete")}
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button
+              type="button"
+              className="mt-2 rounded border px-3 py-1 text-sm bg-white hover:bg-gray-50"
+              onClick={handleAddLayer}
+            >
+              {t("layers.add")}
+            </button>
           </div>
 
           <div>
-            <label className="block mb-2 font-medium">Step 5: What are you describing?</label>
+            <label className="block mb-2 font-medium">{t("scenario.label")}</label>
             <div className="flex gap-4">
               <label className="flex items-center gap-2">
                 <input
@@ -1146,7 +1900,7 @@ export default function PlayfulEnvironmentDesigner() {
                   checked={scenarioType === "adaptation"}
                   onChange={() => setScenarioType("adaptation")}
                 />
-                Adaptation
+                {t("scenario.adaptation")}
               </label>
               <label className="flex items-center gap-2">
                 <input
@@ -1156,13 +1910,13 @@ export default function PlayfulEnvironmentDesigner() {
                   checked={scenarioType === "vulnerability"}
                   onChange={() => setScenarioType("vulnerability")}
                 />
-                Vulnerability
+                {t("scenario.vulnerability")}
               </label>
             </div>
           </div>
 
           <div>
-            <label className="block mb-2 font-medium">Include play opportunities?</label>
+            <label className="block mb-2 font-medium">{t("play.label")}</label>
             <div className="flex gap-4">
               <label className="flex items-center gap-2">
                 <input
@@ -1171,7 +1925,7 @@ export default function PlayfulEnvironmentDesigner() {
                   checked={includePlay}
                   onChange={() => setIncludePlay(true)}
                 />
-                Yes
+                {t("play.yes")}
               </label>
               <label className="flex items-center gap-2">
                 <input
@@ -1181,16 +1935,16 @@ export default function PlayfulEnvironmentDesigner() {
                   checked={!includePlay}
                   onChange={() => setIncludePlay(false)}
                 />
-                No
+                {t("play.no")}
               </label>
             </div>
           </div>
 
           <div>
             <label className="block mb-2 font-medium">
-              Step 6: {scenarioType === "adaptation"
-                ? "How would you like to transform this place?"
-                : "Describe the vulnerability. How does it emerge?"}
+              {scenarioType === "adaptation"
+                ? t("transformation.labelAdaptation")
+                : t("transformation.labelVulnerability")}
             </label>
             <textarea
               className="border p-2 w-full"
@@ -1198,6 +1952,31 @@ export default function PlayfulEnvironmentDesigner() {
               value={transformation}
               onChange={(e) => setTransformation(e.target.value)}
             />
+            <div className="mt-2 flex flex-wrap items-center gap-2 text-sm">
+              <label htmlFor="response-language" className="text-gray-700">
+                {t("language.label")}
+              </label>
+              <select
+                id="response-language"
+                className="border rounded px-2 py-1"
+                value={languageOverride}
+                onChange={(e) => setLanguageOverride(e.target.value)}
+              >
+                <option value="auto">
+                  {detectedLanguage
+                    ? t("language.autoDetected", {
+                        language: t(`language.name.${detectedLanguage.code}`),
+                        confidence: Math.round(detectedLanguage.confidence * 100),
+                      })
+                    : t("language.auto")}
+                </option>
+                {LANGUAGES.map(({ code }) => (
+                  <option key={code} value={code}>
+                    {t(`language.name.${code}`)}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
 
           <div>
@@ -1205,11 +1984,12 @@ export default function PlayfulEnvironmentDesigner() {
               className="rounded bg-teal-600 text-white px-4 py-2"
               onClick={handlePromptSubmit}
             >
-              Generate AI Prompt
+              {t("prompt.generate")}
             </button>
+            {promptStatus && <p className="text-sm text-gray-600 mt-3">{t(promptStatus)}</p>}
             {response && (
               <div className="mt-3 border rounded p-3 bg-gray-50 text-gray-900">
-                <strong className="text-gray-900">Suggested Prompt</strong>
+                <strong className="text-gray-900">{t("prompt.suggested")}</strong>
                 <textarea
                   className="border p-2 w-full mt-2 text-sm text-black bg-white"
                   rows={3}
@@ -1218,11 +1998,36 @@ export default function PlayfulEnvironmentDesigner() {
                     const next = e.target.value;
                     setImagePrompt(next);
                     const wordCount = next.trim() ? next.trim().split(/\s+/).length : 0;
-                    setPromptWarning(wordCount > 80 ? "This prompt is getting long; consider trimming." : "");
+                    setPromptWarning(wordCount > 80 ? "prompt.tooLong" : "");
                   }}
                 />
                 {promptWarning && (
-                  <p className="text-sm text-amber-600 mt-1">{promptWarning}</p>
+                  <p className="text-sm text-amber-600 mt-1">{t(promptWarning)}</p>
+                )}
+                {promptTemplate && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    {t("prompt.template", { template: formatPromptTemplate(promptTemplate) })}
+                  </p>
+                )}
+                {selectedSpecies.length > 0 && (
+                  <div className="mt-3 text-sm">
+                    <strong className="text-gray-900">{t("species.title")}</strong>
+                    <ul className="mt-1 space-y-1">
+                      {selectedSpecies.map((species) => (
+                        <li key={species.id}>
+                          <span className="font-medium">{formatSpeciesName(species)}</span>
+                          {isChildSafe(species) && (
+                            <span className="ml-2 rounded bg-green-100 px-1.5 py-0.5 text-xs text-green-800">
+                              {t("species.childSafe")}
+                            </span>
+                          )}
+                          <span className="block text-xs text-gray-600">
+                            {describeSpecies(species)}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
                 )}
               </div>
             )}
@@ -1230,12 +2035,118 @@ export default function PlayfulEnvironmentDesigner() {
 
           {GEMINI_IMAGE_ENABLED && response && (
             <div className="border rounded p-4 bg-white shadow-sm">
-              {scoreStatus && <p className="text-sm text-gray-600">{scoreStatus}</p>}
+              {scoreStatus && <p className="text-sm text-gray-600">{t(scoreStatus)}</p>}
               {!scoreStatus && scoreSummary && (
                 <p className="text-sm text-gray-700">
-                  Matched interventions: {scoreSummary.matches} · Average cost {scoreSummary.averages.cost.toFixed(1)} /5 · Ease {scoreSummary.averages.ease.toFixed(1)} /5 · Effectiveness {scoreSummary.averages.effectiveness.toFixed(1)} /5
+                  {t("scores.summary", {
+                    matches: scoreSummary.matches,
+                    total: scoreSummary.totalMatches ?? scoreSummary.matches,
+                    cost: formatAverage(scoreSummary.averages.cost),
+                    ease: formatAverage(scoreSummary.averages.ease),
+                    effectiveness: formatAverage(scoreSummary.averages.effectiveness),
+                  })}
                 </p>
               )}
+              {!scoreStatus && scoreSummary?.items?.length > 0 && (
+                <InterventionsPanel
+                  items={scoreSummary.items}
+                  pinned={pinnedInterventions}
+                  onTogglePin={togglePinnedIntervention}
+                  t={t}
+                />
+              )}
+              {!scoreStatus && scoreSummary && (
+                <InterventionPlanPanel
+                  prompt={imagePrompt}
+                  location={location}
+                  onPinPlan={pinInterventionPlan}
+                  t={t}
+                />
+              )}
+
+              {sketchLegend.length > 0 && (
+                <div className="mt-3">
+                  <label htmlFor="focus-layer" className="block text-sm font-medium mb-1">
+                    {t("image.focusLayer")}
+                  </label>
+                  <select
+                    id="focus-layer"
+                    className="border p-2 text-black bg-white"
+                    value={focusLayer?.id || ""}
+                    onChange={(e) => setFocusLayerId(e.target.value)}
+                  >
+                    <option value="">{t("image.focusAll")}</option>
+                    {sketchLegend.map(({ id, name }) => (
+                      <option key={id} value={id}>
+                        {name}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">{t("image.focusHint")}</p>
+
+                  <div className="mt-3 grid max-w-md gap-2">
+                    <p className="text-sm font-medium">{t("mask.title")}</p>
+                    <div>
+                      <div className="flex justify-between text-xs text-gray-500">
+                        <span>{t("mask.feather")}</span>
+                        <span>{maskSettings.feather}px</span>
+                      </div>
+                      <input
+                        type="range"
+                        min="0"
+                        max={MAX_MASK_FEATHER}
+                        value={maskSettings.feather}
+                        onChange={(e) => handleMaskSettingChange({ feather: e.target.value })}
+                        className="w-full"
+                      />
+                    </div>
+                    <div>
+                      <div className="flex justify-between text-xs text-gray-500">
+                        <span>{t("mask.grow")}</span>
+                        <span>
+                          {maskSettings.grow > 0 ? "+" : ""}
+                          {maskSettings.grow}px
+                        </span>
+                      </div>
+                      <input
+                        type="range"
+                        min={-MAX_MASK_GROW}
+                        max={MAX_MASK_GROW}
+                        value={maskSettings.grow}
+                        onChange={(e) => handleMaskSettingChange({ grow: e.target.value })}
+                        className="w-full"
+                      />
+                    </div>
+                    <label className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={maskSettings.fillEnclosed}
+                        onChange={(e) => handleMaskSettingChange({ fillEnclosed: e.target.checked })}
+                      />
+                      {t("mask.fillEnclosed")}
+                    </label>
+                    <label className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={maskSettings.invert}
+                        onChange={(e) => handleMaskSettingChange({ invert: e.target.checked })}
+                      />
+                      {t("mask.invert")}
+                    </label>
+                    <label className="flex items-center gap-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={maskPreview}
+                        onChange={(e) => setMaskPreview(e.target.checked)}
+                      />
+                      {t("mask.preview")}
+                    </label>
+                    <p className="text-xs text-gray-500">
+                      {t(maskPreview ? "mask.previewHint" : "mask.hint")}
+                    </p>
+                  </div>
+                </div>
+              )}
 
               <button
                 type="button"
@@ -1247,50 +2158,43 @@ export default function PlayfulEnvironmentDesigner() {
                 onClick={handleGenerateImage}
                 disabled={!canGenerateImage}
               >
-                Generate AI Image Concept
+                {t("image.generate")}
               </button>
               <p className="text-xs text-gray-500 mt-2">
                 {canGenerateImage
                   ? hasSketch
-                    ? "Sketch detected. Gemini will follow both the prompt and your highlights."
-                    : "No sketch yet—Gemini will rely on the photo and prompt. Add notes if you want to highlight areas."
-                  : "Upload a photo and generate the prompt to enable this button."}
+                    ? t("image.sketchDetected")
+                    : t("image.noSketch")
+                  : t("image.disabled")}
               </p>
               {imageGenerationStatus && (
-                <p className="text-sm text-gray-600 mt-2">{imageGenerationStatus}</p>
+                <p className="text-sm text-gray-600 mt-2">{t(imageGenerationStatus)}</p>
               )}
 
               {generatedImage && (
                 <div className="mt-4">
-                  <img src={generatedImage.src} alt="AI concept" className="rounded border" />
+                  <img src={generatedImage.src} alt={t("image.alt")} className="rounded border" />
                   <a
                     href={generatedImage.src}
                     download="concept-image.png"
                     className="inline-block mt-2 px-3 py-1 bg-green-600 text-white rounded"
                   >
-                    Download image
+                    {t("image.download")}
                   </a>
                   {sketchComposite && (
                     <a
                       href={sketchComposite}
-                      download="sketch-overlay.png"
+                      download={`sketch-overlay.${sketchComposite.startsWith("data:image/png") ? "png" : "jpg"}`}
                       className="inline-block mt-2 ml-2 px-3 py-1 bg-amber-600 text-white rounded"
                     >
-                      Download sketch overlay
+                      {t("image.downloadOverlay")}
                     </a>
                   )}
-                  <button
-                    type="button"
-                    className="inline-block mt-2 ml-2 px-3 py-1 bg-slate-700 text-white rounded hover:bg-slate-600"
-                    onClick={handleDownloadSession}
-                  >
-                    Download session (.csv)
-                  </button>
 
                   {!GEMINI_INPAINTING_ENABLED && (
                     <div className="mt-4">
                       <label className="block mb-2 text-sm font-medium text-gray-800">
-                        Refine the AI image (describe the tweak)
+                        {t("image.refineLabel")}
                       </label>
                       <textarea
                         className="border p-2 w-full text-sm text-gray-900"
@@ -1303,7 +2207,7 @@ export default function PlayfulEnvironmentDesigner() {
                         disabled={!refinePrompt.trim()}
                         onClick={handleRefinement}
                       >
-                        Apply refinement
+                        {t("image.applyRefinement")}
                       </button>
                     </div>
                   )}
@@ -0,0 +1,244 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { decodePng } from "@/lib/png";
+import describeImage from "@/pages/api/describe-image";
+import generatePlayPrompt from "@/pages/api/generate-play-prompt";
+import geocode from "@/pages/api/geocode";
+import generateVisualConcept from "@/pages/api/generate-visual-concept";
+import refreshInterventions from "@/pages/api/interventions/refresh";
+import reverseGeocode from "@/pages/api/reverse-geocode";
+import scoreInterventions from "@/pages/api/score-interventions";
+import { callRoute, jpegDataUrl, pngDataUrl } from "../helpers";
+
+const PHOTO = pngDataUrl(8, 6, (x) => (x < 4 ? [200, 40, 40] : [40, 40, 200]));
+const MASK = pngDataUrl(8, 6, (x, y) => (y < 3 ? [255, 255, 255] : [0, 0, 0]));
+const CONTEXT = {
+  scenarioType: "adaptation",
+  includePlay: true,
+  location: "Antananarivo, Madagascar",
+  spaceDescription: "A flooded courtyard",
+};
+
+const mockError = (value) => ({ "x-mock-error": value });
+
+const decodeConcept = (body) => decodePng(Buffer.from(body.imageBase64, "base64"));
+
+describe("describe-image", () => {
+  const post = (body, headers) =>
+    callRoute(describeImage, { method: "POST", body, headers });
+
+  it("returns a fixture description for the same image every time", async () => {
+    const first = await post({ imageData: PHOTO });
+    const second = await post({ imageData: PHOTO });
+    expect(first.status).toBe(200);
+    expect(first.body.description).toEqual(expect.any(String));
+    expect(second.body.description).toBe(first.body.description);
+  });
+
+  it("rejects requests without a data URL", async () => {
+    expect((await post({})).status).toBe(400);
+    expect((await post({ imageData: "not-a-data-url" })).status).toBe(400);
+  });
+
+  it("passes a simulated status through", async () => {
+    const { status, body } = await post({ imageData: PHOTO }, mockError("503"));
+    expect(status).toBe(503);
+    expect(body.error).toEqual(expect.any(String));
+  });
+
+  it("reports a simulated empty answer as a bad gateway", async () => {
+    const { status, body } = await post({ imageData: PHOTO }, mockError("empty"));
+    expect(status).toBe(502);
+    expect(body.error).toMatch(/usable description/);
+  });
+});
+
+describe("generate-play-prompt", () => {
+  const post = (body, headers) =>
+    callRoute(generatePlayPrompt, { method: "POST", body, headers });
+
+  it("returns a short proposal with the template it used", async () => {
+    const { status, body } = await post({ context: CONTEXT });
+    expect(status).toBe(200);
+    expect(body.output.split(/\s+/).length).toBeLessThanOrEqual(35);
+    expect(body.template).toEqual({ id: "adaptation-play", version: expect.any(Number) });
+  });
+
+  it("requires a context", async () => {
+    expect((await post({})).status).toBe(400);
+  });
+
+  it("passes a simulated status through", async () => {
+    expect((await post({ context: CONTEXT }, mockError("429"))).status).toBe(429);
+  });
+
+  it("reports a simulated empty answer as a bad gateway", async () => {
+    const { status, body } = await post({ context: CONTEXT }, mockError("empty"));
+    expect(status).toBe(502);
+    expect(body.error).toMatch(/did not return any text/);
+  });
+});
+
+describe("generate-visual-concept", () => {
+  const post = (body, headers) =>
+    callRoute(generateVisualConcept, { method: "POST", body, headers });
+
+  it("shows a PNG input through the placeholder in composite mode", async () => {
+    const { status, body } = await post({ context: CONTEXT, imageData: PHOTO });
+    expect(status).toBe(200);
+    expect(body.mimeType).toBe("image/png");
+    const concept = decodeConcept(body);
+    expect([concept.width, concept.height]).toEqual([8, 6]);
+    // The red left half and blue right half of the input are still visible.
+    const left = concept.data.subarray(0, 4);
+    const right = concept.data.subarray(7 * 4, 8 * 4);
+    expect(left[0] - left[2]).toBeGreaterThan(right[0] - right[2]);
+  });
+
+  it("shows a JPEG photo through the placeholder too", async () => {
+    const photo = jpegDataUrl(16, 8, (x) => (x < 8 ? [200, 40, 40] : [40, 40, 200]));
+    const { status, body } = await post({ context: CONTEXT, imageData: photo });
+    expect(status).toBe(200);
+    const concept = decodeConcept(body);
+    expect([concept.width, concept.height]).toEqual([16, 8]);
+    const left = concept.data.subarray(0, 4);
+    const right = concept.data.subarray(15 * 4, 16 * 4);
+    expect(left[0] - left[2]).toBeGreaterThan(right[0] - right[2]);
+  });
+
+  it("paints the mask area in inpainting mode", async () => {
+    const body = {
+      context: CONTEXT,
+      mode: "inpainting",
+      baseImageData: PHOTO,
+      maskData: MASK,
+    };
+    const first = await post(body);
+    const second = await post(body);
+    expect(first.status).toBe(200);
+    expect(second.body.imageBase64).toBe(first.body.imageBase64);
+
+    const concept = decodeConcept(first.body);
+    const pixel = (x, y) => {
+      const offset = (y * concept.width + x) * 4;
+      return Array.from(concept.data.subarray(offset, offset + 3));
+    };
+    // Inside the mask the photo's red/blue split is painted over.
+    expect(pixel(0, 0)).toEqual(pixel(7, 0));
+    expect(pixel(0, 5)).not.toEqual(pixel(7, 5));
+  });
+
+  it("rejects unknown modes", async () => {
+    const { status, body } = await post({ context: CONTEXT, mode: "outpainting", imageData: PHOTO });
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/Mode must be one of/);
+  });
+
+  it("requires the images each mode needs", async () => {
+    expect((await post({ context: CONTEXT })).status).toBe(400);
+    expect(
+      (await post({ context: CONTEXT, mode: "inpainting", baseImageData: PHOTO })).status
+    ).toBe(400);
+  });
+
+  it("passes a simulated status through", async () => {
+    const { status } = await post({ context: CONTEXT, imageData: PHOTO }, mockError("500"));
+    expect(status).toBe(500);
+  });
+
+  it("reports a simulated empty answer as a bad gateway", async () => {
+    const { status, body } = await post(
+      { context: CONTEXT, imageData: PHOTO },
+      mockError("empty")
+    );
+    expect(status).toBe(502);
+    expect(body.error).toMatch(/did not return an image/);
+  });
+});
+
+describe("reverse-geocode", () => {
+  const get = (query, headers) => callRoute(reverseGeocode, { query, headers });
+
+  it("returns the nearest fixture place and caches it", async () => {
+    const query = { lat: "-18.9137", lon: "47.5361" };
+    const first = await get(query);
+    expect(first.status).toBe(200);
+    expect(first.body.displayName).toMatch(/Antananarivo/);
+    const second = await get(query);
+    expect(second.body).toEqual({ ...first.body, cached: true });
+  });
+
+  it("validates the coordinates", async () => {
+    expect((await get({ lat: "1" })).status).toBe(400);
+    expect((await get({ lat: "91", lon: "0" })).status).toBe(400);
+  });
+
+  it("passes a simulated status through", async () => {
+    const { status } = await get({ lat: "-18.9", lon: "47.5" }, mockError("503"));
+    expect(status).toBe(503);
+  });
+
+  it("answers an empty upstream response with an empty place", async () => {
+    const { status, body } = await get({ lat: "-18.9", lon: "47.5" }, mockError("empty"));
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ displayName: "", address: {}, cached: false });
+  });
+});
+
+describe("score-interventions", () => {
+  const post = (body, headers) =>
+    callRoute(scoreInterventions, { method: "POST", body, headers });
+  const request = { prompt: "rain garden flood play", location: "Antananarivo" };
+
+  it("ranks the fixture catalog", async () => {
+    const { status, body } = await post(request);
+    expect(status).toBe(200);
+    expect(body.matches).toBeGreaterThan(0);
+    expect(body.items[0]).toMatchObject({ name: expect.any(String) });
+  });
+
+  it("requires a prompt or location", async () => {
+    expect((await post({})).status).toBe(400);
+  });
+
+  it("passes a simulated status through", async () => {
+    expect((await post(request, mockError("500"))).status).toBe(500);
+  });
+
+  it("does not cache a simulated empty catalog", async () => {
+    const empty = await post(request, mockError("empty"));
+    expect(empty.status).toBe(200);
+    expect(empty.body).toMatchObject({ matches: 0, items: [] });
+
+    const next = await post(request);
+    expect(next.body.matches).toBeGreaterThan(0);
+  });
+});
+
+describe("interventions/refresh", () => {
+  it("is disabled until a refresh token is configured", async () => {
+    const { status } = await callRoute(refreshInterventions, {
+      method: "POST",
+      headers: { authorization: "Bearer anything" },
+    });
+    expect(status).toBe(404);
+  });
+});
+
+describe("geocode", () => {
+  const get = (query) => callRoute(geocode, { query });
+
+  afterEach(() => vi.unstubAllEnvs());
+
+  it("suggests places as the user types in mock mode", async () => {
+    const { status, body } = await get({ q: "Antananarivo", autocomplete: "1" });
+    expect(status).toBe(200);
+    expect(body.results[0].displayName).toMatch(/Antananarivo/);
+  });
+
+  it("refuses typed searches against the public instance", async () => {
+    vi.stubEnv("MOCK_MODE", "false");
+    const { status, body } = await get({ q: "Antananarivo", autocomplete: "1" });
+    expect(status).toBe(403);
+    expect(body.autocomplete).toBe(false);
+  });
+});
@@ -0,0 +1,46 @@
+import jpeg from "jpeg-js";
+import { encodePng } from "@/lib/png";
+
+// Calls a Next.js API route handler with a minimal request and collects
+// the status and JSON body it responds with.
+export const callRoute = async (
+  handler,
+  { method = "GET", query = {}, body, headers = {} } = {}
+) => {
+  const result = { status: 200, body: undefined };
+  const res = {
+    status(code) {
+      result.status = code;
+      return res;
+    },
+    json(payload) {
+      result.body = payload;
+      return res;
+    },
+  };
+  await handler({ method, query, body, headers }, res);
+  return result;
+};
+
+const pixelsOf = (width, height, colorAt) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const [r, g, b, a = 255] = colorAt(x, y);
+      data.set([r, g, b, a], (y * width + x) * 4);
+    }
+  }
+  return data;
+};
+
+// A width × height PNG data URL whose pixels come from `colorAt(x, y)`.
+export const pngDataUrl = (width, height, colorAt) => {
+  const data = pixelsOf(width, height, colorAt);
+  return `data:image/png;base64,${encodePng({ width, height, data }).toString("base64")}`;
+};
+
+// The same as a JPEG, like the photo previews the browser sends.
+export const jpegDataUrl = (width, height, colorAt) => {
+  const data = pixelsOf(width, height, colorAt);
+  return `data:image/jpeg;base64,${jpeg.encode({ width, height, data }, 95).data.toString("base64")}`;
+};
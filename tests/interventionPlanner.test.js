@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { planInterventions } from "@/lib/interventionPlanner";
+
+const item = (id, cost, effectiveness, ease = 3) => ({
+  id,
+  name: id,
+  cost,
+  effectiveness,
+  ease,
+  relevance: 1,
+});
+
+describe("planInterventions", () => {
+  const matches = [
+    item("swale", 3, 4),
+    item("planter", 2, 2),
+    item("cistern", 4, 3),
+    item("mural", Number.NaN, 2),
+    item("pond", 9, 5),
+    item("bridge", 1, 3, 1),
+  ];
+
+  it("explains the package with codes and numbers", () => {
+    const plan = planInterventions(matches, { budget: 5, minEase: 2 });
+    expect(plan.items.map(({ id }) => id)).toEqual(["swale", "planter"]);
+    expect(plan.explanation).toEqual([
+      { code: "selected", count: 2, cost: 5, budget: 5, effectiveness: 6 },
+      { code: "raise-budget", cost: 7, effectiveness: 7 },
+      { code: "drop-min-ease", minEase: 2, effectiveness: 7 },
+      { code: "spend-less", cost: 3, effectiveness: 4 },
+    ]);
+  });
+
+  it("gives each left-out item a reason code instead of a sentence", () => {
+    const plan = planInterventions(matches, { budget: 5, minEase: 2 });
+    const reasons = Object.fromEntries(
+      [...plan.tradeOffs, ...plan.excluded].map(({ id, reason }) => [id, reason])
+    );
+    expect(reasons).toEqual({
+      cistern: "traded-off",
+      mural: "unpriced",
+      pond: "over-budget",
+      bridge: "below-min-ease",
+    });
+    expect(plan.tradeOffs[0]).toMatchObject({ effectivenessWithItem: 3, effectivenessLoss: 3 });
+    expect([...plan.tradeOffs, ...plan.excluded].some((entry) => "detail" in entry)).toBe(false);
+  });
+
+  it("reports when nothing fits", () => {
+    const plan = planInterventions([item("pond", 9, 5)], { budget: 2 });
+    expect(plan.explanation[0]).toEqual({ code: "none-fit" });
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_MASK_SETTINGS,
+  MAX_MASK_FEATHER,
+  MAX_MASK_GROW,
+  asMaskSettings,
+  buildMaskValues,
+} from "@/lib/mask";
+
+// Grids are drawn as rows of "#" (painted) and "." (empty).
+const sketchPixels = (rows) => {
+  const pixels = new Uint8ClampedArray(rows.length * rows[0].length * 4);
+  rows.join("").split("").forEach((cell, i) => {
+    if (cell === "#") pixels.set([255, 0, 0, 255], i * 4);
+  });
+  return pixels;
+};
+
+const buildGrid = (rows, settings) => {
+  const width = rows[0].length;
+  const values = buildMaskValues(sketchPixels(rows), width, rows.length, {
+    ...DEFAULT_MASK_SETTINGS,
+    ...settings,
+  });
+  return rows.map((_, y) =>
+    Array.from(values.slice(y * width, (y + 1) * width), (value) =>
+      value === 255 ? "#" : value === 0 ? "." : "~"
+    ).join("")
+  );
+};
+
+const dot = [".......", ".......", ".......", "...#...", ".......", ".......", "......."];
+
+describe("buildMaskValues", () => {
+  it("marks painted pixels only by default", () => {
+    expect(buildGrid(dot)).toEqual(dot);
+  });
+
+  it("fills the inside of an outlined square", () => {
+    const outline = ["......", ".####.", ".#..#.", ".#..#.", ".####.", "......"];
+    expect(buildGrid(outline, { fillEnclosed: true })).toEqual([
+      "......",
+      ".####.",
+      ".####.",
+      ".####.",
+      ".####.",
+      "......",
+    ]);
+  });
+
+  it("leaves an open shape unfilled", () => {
+    const open = ["......", ".####.", ".#..#.", ".#....", ".####.", "......"];
+    expect(buildGrid(open, { fillEnclosed: true })).toEqual(open);
+  });
+
+  it("grows the mask by whole pixels", () => {
+    expect(buildGrid(dot, { grow: 1 })).toEqual([
+      ".......",
+      ".......",
+      "...#...",
+      "..###..",
+      "...#...",
+      ".......",
+      ".......",
+    ]);
+    expect(buildGrid(dot, { grow: 2 })).toEqual([
+      ".......",
+      "...#...",
+      "..###..",
+      ".#####.",
+      "..###..",
+      "...#...",
+      ".......",
+    ]);
+  });
+
+  it("shrinks the mask by whole pixels", () => {
+    const square = [".......", ".#####.", ".#####.", ".#####.", ".#####.", ".#####.", "......."];
+    expect(buildGrid(square, { grow: -1 })).toEqual([
+      ".......",
+      ".......",
+      "..###..",
+      "..###..",
+      "..###..",
+      ".......",
+      ".......",
+    ]);
+    expect(buildGrid(square, { grow: -3 })).toEqual(dot.map((row) => row.replace("#", ".")));
+  });
+
+  it("inverts the mask", () => {
+    expect(buildGrid(dot, { invert: true })).toEqual([
+      "#######",
+      "#######",
+      "#######",
+      "###.###",
+      "#######",
+      "#######",
+      "#######",
+    ]);
+  });
+
+  it("fills and grows before inverting", () => {
+    const outline = [".....", ".###.", ".#.#.", ".###.", "....."];
+    expect(buildGrid(outline, { fillEnclosed: true, grow: -1, invert: true })).toEqual([
+      "#####",
+      "#####",
+      "##.##",
+      "#####",
+      "#####",
+    ]);
+  });
+
+  it("feathers the edge into intermediate levels", () => {
+    const half = ["########........"];
+    const values = Array.from(
+      buildMaskValues(sketchPixels(half), 16, 1, { ...DEFAULT_MASK_SETTINGS, feather: 3 })
+    );
+    expect(values.slice(0, 4)).toEqual([255, 255, 255, 255]);
+    expect(values.slice(12)).toEqual([0, 0, 0, 0]);
+    expect(values[7]).toBeGreaterThan(0);
+    expect(values[7]).toBeLessThan(255);
+    expect(values[8]).toBeGreaterThan(0);
+    expect(values[8]).toBeLessThan(255);
+    expect(values[7] + values[8]).toBe(255);
+    values.slice(1).forEach((value, i) => expect(value).toBeLessThanOrEqual(values[i]));
+  });
+
+  it("keeps a hard edge for feathers under a pixel", () => {
+    expect(buildGrid(dot, { feather: 0.4 })).toEqual(dot);
+  });
+});
+
+describe("asMaskSettings", () => {
+  it("falls back to the defaults for missing values", () => {
+    expect(asMaskSettings(undefined)).toEqual(DEFAULT_MASK_SETTINGS);
+    expect(asMaskSettings({ feather: "soft", grow: Number.NaN })).toEqual(DEFAULT_MASK_SETTINGS);
+  });
+
+  it("rounds and clamps the radii", () => {
+    expect(asMaskSettings({ feather: 999, grow: -999 })).toMatchObject({
+      feather: MAX_MASK_FEATHER,
+      grow: -MAX_MASK_GROW,
+    });
+    expect(asMaskSettings({ feather: -4, grow: 999 })).toMatchObject({
+      feather: 0,
+      grow: MAX_MASK_GROW,
+    });
+    expect(asMaskSettings({ feather: "2.6", grow: -1.4 })).toMatchObject({ feather: 3, grow: -1 });
+  });
+
+  it("accepts only true for the switches", () => {
+    expect(asMaskSettings({ invert: "true", fillEnclosed: 1 })).toMatchObject({
+      invert: false,
+      fillEnclosed: false,
+    });
+    expect(asMaskSettings({ invert: true, fillEnclosed: true })).toMatchObject({
+      invert: true,
+      fillEnclosed: true,
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { deflateSync } from "zlib";
+import { describe, expect, it } from "vitest";
+import { decodePng, encodePng } from "@/lib/png";
+
+const SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// The decoder ignores CRCs, so hand-built test files can leave them zeroed.
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, "ascii"), data, Buffer.alloc(4)]);
+};
+
+const paeth = (left, up, upLeft) => {
+  const estimate = left + up - upLeft;
+  const distLeft = Math.abs(estimate - left);
+  const distUp = Math.abs(estimate - up);
+  const distUpLeft = Math.abs(estimate - upLeft);
+  if (distLeft <= distUp && distLeft <= distUpLeft) return left;
+  return distUp <= distUpLeft ? up : upLeft;
+};
+
+// Builds a PNG whose row y uses filter `filters[y % filters.length]`, so the
+// decoder's handling of every filter type is exercised.
+const buildPng = ({ width, height, colorType, channels, pixels, filters, bitDepth = 8 }) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = colorType;
+
+  const stride = width * channels;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    const filter = filters[y % filters.length];
+    raw[y * (stride + 1)] = filter;
+    for (let x = 0; x < stride; x += 1) {
+      const at = (row, column) => (row < 0 || column < 0 ? 0 : pixels[row * stride + column]);
+      const left = at(y, x - channels);
+      const up = at(y - 1, x);
+      const upLeft = at(y - 1, x - channels);
+      const predictor = [0, left, up, (left + up) >> 1, paeth(left, up, upLeft)][filter];
+      raw[y * (stride + 1) + 1 + x] = (pixels[y * stride + x] - predictor) & 0xff;
+    }
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", header),
+    chunk("IDAT", deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+};
+
+const gradient = (length) => Buffer.from(Array.from({ length }, (_, i) => (i * 37 + 11) % 256));
+
+describe("encodePng / decodePng", () => {
+  it("round-trips RGBA pixels", () => {
+    const data = gradient(5 * 3 * 4);
+    const decoded = decodePng(encodePng({ width: 5, height: 3, data }));
+    expect(decoded.width).toBe(5);
+    expect(decoded.height).toBe(3);
+    expect(decoded.data.equals(data)).toBe(true);
+  });
+
+  it("undoes every row filter", () => {
+    const pixels = gradient(6 * 5 * 4);
+    const png = buildPng({
+      width: 6,
+      height: 5,
+      colorType: 6,
+      channels: 4,
+      pixels,
+      filters: [0, 1, 2, 3, 4],
+    });
+    expect(decodePng(png).data.equals(pixels)).toBe(true);
+  });
+
+  it("expands RGB to opaque RGBA", () => {
+    const pixels = gradient(4 * 2 * 3);
+    const { data } = decodePng(
+      buildPng({ width: 4, height: 2, colorType: 2, channels: 3, pixels, filters: [4, 1] })
+    );
+    expect(Array.from(data.subarray(0, 8))).toEqual([
+      pixels[0], pixels[1], pixels[2], 255,
+      pixels[3], pixels[4], pixels[5], 255,
+    ]);
+  });
+
+  it("expands grey and grey with alpha", () => {
+    const grey = decodePng(
+      buildPng({
+        width: 2,
+        height: 1,
+        colorType: 0,
+        channels: 1,
+        pixels: Buffer.from([10, 200]),
+        filters: [1],
+      })
+    );
+    expect(Array.from(grey.data)).toEqual([10, 10, 10, 255, 200, 200, 200, 255]);
+
+    const greyAlpha = decodePng(
+      buildPng({
+        width: 1,
+        height: 2,
+        colorType: 4,
+        channels: 2,
+        pixels: Buffer.from([50, 60, 70, 80]),
+        filters: [2],
+      })
+    );
+    expect(Array.from(greyAlpha.data)).toEqual([50, 50, 50, 60, 70, 70, 70, 80]);
+  });
+
+  it("rejects files it cannot decode", () => {
+    expect(() => decodePng(Buffer.from("not a png at all"))).toThrow("Not a PNG image.");
+    const sixteenBit = buildPng({
+      width: 1,
+      height: 1,
+      colorType: 6,
+      channels: 8,
+      pixels: Buffer.alloc(8),
+      filters: [0],
+      bitDepth: 16,
+    });
+    expect(() => decodePng(sixteenBit)).toThrow("Unsupported PNG encoding.");
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, expect, it } from "vitest";
+import {
+  SESSION_VERSION,
+  SessionFormatError,
+  migrateSession,
+  normalizeSession,
+  packSessionImages,
+} from "@/lib/session";
+
+const PHOTO = "data:image/jpeg;base64,cGhvdG8=";
+const CONCEPT = "data:image/png;base64,Y29uY2VwdA==";
+
+const stroke = (color, x = 10) => ({
+  tool: "brush",
+  color,
+  opacity: 0.6,
+  size: 12,
+  points: [
+    [x, 10],
+    [x + 40, 50],
+  ],
+});
+
+describe("migrateSession", () => {
+  it("brings a version 1 session up to date with an empty stroke list", () => {
+    const migrated = migrateSession({ version: 1, name: "Courtyard", sketchData: PHOTO });
+    expect(migrated.version).toBe(SESSION_VERSION);
+    expect(migrated.sketchData).toBe(PHOTO);
+    expect(migrated.sketchStrokes).toEqual([]);
+    expect(migrated.sketchLayers).toEqual([
+      { id: "layer-1", name: "Layer 1", meaning: "", visible: true },
+    ]);
+  });
+
+  it("turns version 2 stroke colors into layers and notes into a meaning", () => {
+    const migrated = migrateSession({
+      version: 2,
+      drawingNotes: "Blue = water\n\n Green = trees ",
+      sketchStrokes: [stroke("#0000ff"), stroke("#00ff00", 80), stroke("#0000ff", 120)],
+    });
+    expect(migrated).not.toHaveProperty("drawingNotes");
+    expect(migrated.sketchLayers).toEqual([
+      {
+        id: "layer-1",
+        name: "Layer 1",
+        color: "#0000ff",
+        meaning: "Blue = water; Green = trees",
+        visible: true,
+      },
+      { id: "layer-2", name: "Layer 2", color: "#00ff00", meaning: "", visible: true },
+    ]);
+    expect(migrated.sketchStrokes.map(({ layer }) => layer)).toEqual([
+      "layer-1",
+      "layer-2",
+      "layer-1",
+    ]);
+
+    const session = normalizeSession(migrated);
+    expect(session.sketchStrokes).toHaveLength(3);
+    expect(session.sketchLayers.map(({ id }) => id)).toEqual(["layer-1", "layer-2"]);
+  });
+
+  it("leaves version 3 sessions unchanged apart from the version", () => {
+    const input = { version: 3, name: "Lot", sketchLayers: [], sketchStrokes: [] };
+    expect(migrateSession(input)).toEqual({ ...input, version: SESSION_VERSION });
+  });
+
+  it("rejects missing and future versions", () => {
+    expect(() => migrateSession({ name: "No version" })).toThrow(SessionFormatError);
+    expect(() => migrateSession({ version: SESSION_VERSION + 1 })).toThrow(
+      /only understands up to version/
+    );
+  });
+
+  it("tags format errors with a locale code and its parameters", () => {
+    const error = (() => {
+      try {
+        migrateSession({ version: SESSION_VERSION + 1 });
+      } catch (caught) {
+        return caught;
+      }
+    })();
+    expect(error.code).toBe("newerVersion");
+    expect(error.params).toEqual({ version: SESSION_VERSION + 1, supported: SESSION_VERSION });
+  });
+});
+
+describe("packSessionImages", () => {
+  const session = {
+    imageSrc: PHOTO,
+    generatedImage: { src: CONCEPT, mimeType: "image/png" },
+    conceptHistory: [{ src: CONCEPT, prompt: "first" }],
+    conceptSourceImage: CONCEPT,
+    sketchComposite: PHOTO,
+  };
+
+  it("keeps each image once and restores the references on normalize", () => {
+    const packed = packSessionImages(session);
+    expect(packed.conceptHistory[0].src).toBe("same-as:generatedImage.src");
+    expect(packed.conceptSourceImage).toBe("same-as:generatedImage.src");
+    expect(packed.sketchComposite).toBe("same-as:imageSrc");
+    expect(JSON.stringify(packed).split("base64").length - 1).toBe(2);
+    expect(session.sketchComposite).toBe(PHOTO);
+
+    const restored = normalizeSession(packed);
+    expect(restored.conceptHistory[0].src).toBe(CONCEPT);
+    expect(restored.conceptSourceImage).toBe(CONCEPT);
+    expect(restored.sketchComposite).toBe(PHOTO);
+  });
+
+  it("drops references that never reach an image", () => {
+    const restored = normalizeSession({
+      ...session,
+      imageSrc: "same-as:sketchComposite",
+      sketchComposite: "same-as:imageSrc",
+    });
+    expect(restored.imageSrc).toBeNull();
+    expect(restored.sketchComposite).toBeNull();
+  });
+});
@@ -0,0 +1,60 @@
+import JSZip from "jszip";
+import { describe, expect, it } from "vitest";
+import { normalizeSession } from "@/lib/session";
+import { buildSessionArchive } from "@/lib/sessionArchive";
+import { createSketchLayer } from "@/lib/sketch";
+import { pngDataUrl } from "./helpers";
+
+const PHOTO = pngDataUrl(4, 3, () => [120, 160, 90]);
+const SKETCH_LAYER = pngDataUrl(4, 3, (x) => (x < 2 ? [255, 0, 0, 255] : [0, 0, 0, 0]));
+const LEGACY_RASTER = pngDataUrl(4, 3, () => [0, 0, 255, 128]);
+
+const layer = createSketchLayer();
+const strokeOnlySession = normalizeSession({
+  imageSrc: PHOTO,
+  sketchLayers: [layer],
+  sketchStrokes: [
+    {
+      tool: "brush",
+      layer: layer.id,
+      color: layer.color,
+      opacity: 0.6,
+      size: 2,
+      points: [
+        [0, 0],
+        [1, 2],
+      ],
+    },
+  ],
+});
+
+const openArchive = async (blob) => JSZip.loadAsync(await blob.arrayBuffer());
+
+const readManifest = async (zip) => JSON.parse(await zip.file("session.json").async("string"));
+
+describe("buildSessionArchive", () => {
+  it("stores the rendered sketch layer of a stroke-only session as a PNG", async () => {
+    const zip = await openArchive(
+      await buildSessionArchive({ session: strokeOnlySession, sketchLayer: SKETCH_LAYER })
+    );
+    const manifest = await readManifest(zip);
+    expect(manifest.files.sketch).toBe("sketch-layer.png");
+    expect(manifest.session.sketchData).toBeNull();
+    expect(await zip.file("sketch-layer.png").async("base64")).toBe(SKETCH_LAYER.split(",")[1]);
+    expect(await zip.file("summary.csv").async("string")).toMatch(
+      /Sketch layer file,sketch-layer\.png/
+    );
+  });
+
+  it("keeps a legacy raster as its own file", async () => {
+    const zip = await openArchive(
+      await buildSessionArchive({
+        session: { ...strokeOnlySession, sketchData: LEGACY_RASTER },
+        sketchLayer: SKETCH_LAYER,
+      })
+    );
+    const manifest = await readManifest(zip);
+    expect(manifest.files.sketch).toBe("sketch-layer.png");
+    expect(manifest.session.sketchData).toBe("sketch-raster.png");
+  });
+});
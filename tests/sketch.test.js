@@ -0,0 +1,91 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createSketchLayer, createSketchPaintCache, paintSketch } from "@/lib/sketch";
+
+// A stand-in for a 2D canvas that counts the brush strokes painted on it.
+const fakeCanvas = (log, width = 0, height = 0) => {
+  const canvas = { width, height };
+  const ctx = {
+    canvas,
+    save() {},
+    restore() {},
+    setTransform() {},
+    clearRect() {},
+    drawImage() {},
+    beginPath() {},
+    moveTo() {},
+    lineTo() {},
+    stroke() {
+      log.strokes += 1;
+    },
+  };
+  canvas.getContext = () => ctx;
+  return canvas;
+};
+
+const brush = (layer, x) => ({
+  tool: "brush",
+  layer,
+  color: "#ff0000",
+  opacity: 0.6,
+  size: 8,
+  points: [
+    [x, 10],
+    [x + 20, 30],
+  ],
+});
+
+describe("paintSketch with a cache", () => {
+  const log = { strokes: 0, canvases: 0 };
+  const layers = [createSketchLayer(), createSketchLayer([createSketchLayer()])];
+  const [first, second] = layers;
+  const strokes = [brush(first.id, 0), brush(second.id, 40)];
+  const target = () => fakeCanvas(log, 100, 80).getContext("2d");
+
+  beforeEach(() => {
+    log.strokes = 0;
+    log.canvases = 0;
+    vi.stubGlobal("document", {
+      createElement: () => {
+        log.canvases += 1;
+        return fakeCanvas(log);
+      },
+    });
+  });
+
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("repaints nothing when the sketch is unchanged", () => {
+    const cache = createSketchPaintCache();
+    paintSketch(target(), { layers, strokes }, { cache });
+    expect(log.strokes).toBe(2);
+    paintSketch(target(), { layers, strokes }, { cache });
+    expect(log.strokes).toBe(2);
+    expect(log.canvases).toBe(2);
+  });
+
+  it("paints only the stroke in progress on top of its cached layer", () => {
+    const cache = createSketchPaintCache();
+    paintSketch(target(), { layers, strokes }, { cache });
+    const activeStroke = brush(second.id, 60);
+    paintSketch(target(), { layers, strokes }, { cache, activeStroke });
+    paintSketch(target(), { layers, strokes }, { cache, activeStroke });
+    expect(log.strokes).toBe(4);
+    expect(log.canvases).toBe(3);
+  });
+
+  it("adds committed strokes incrementally and repaints a layer after undo", () => {
+    const cache = createSketchPaintCache();
+    paintSketch(target(), { layers, strokes }, { cache });
+    const added = [...strokes, brush(first.id, 70)];
+    paintSketch(target(), { layers, strokes: added }, { cache });
+    expect(log.strokes).toBe(3);
+    paintSketch(target(), { layers, strokes }, { cache });
+    expect(log.strokes).toBe(4);
+  });
+
+  it("paints every layer afresh without a cache", () => {
+    paintSketch(target(), { layers, strokes });
+    paintSketch(target(), { layers, strokes });
+    expect(log.strokes).toBe(4);
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, expect, it } from "vitest";
+import { describeSpecies, getSpecies, isChildSafe, selectSpecies } from "@/lib/speciesCatalog";
+
+describe("isChildSafe", () => {
+  it("excludes sharp-edged and skin-irritant species", () => {
+    const [reed, sycamore, papyrus] = getSpecies([
+      "phragmites-mauritianus",
+      "ficus-sycomorus",
+      "cyperus-papyrus",
+    ]);
+    expect(isChildSafe(reed)).toBe(false);
+    expect(isChildSafe(sycamore)).toBe(false);
+    expect(isChildSafe(papyrus)).toBe(true);
+  });
+
+  it("keeps them out of play-setting selections", () => {
+    const candidates = getSpecies(["ficus-sycomorus", "phragmites-mauritianus", "markhamia-lutea"]);
+    const picked = selectSpecies(candidates, { regionId: "kisumu_kenya", includePlay: true });
+    expect(picked.map(({ id }) => id)).toEqual(["markhamia-lutea"]);
+  });
+});
+
+describe("describeSpecies", () => {
+  it("names the hazards and appends the handling note", () => {
+    const [sycamore] = getSpecies(["ficus-sycomorus"]);
+    expect(describeSpecies(sycamore)).toMatch(/; skin irritant\. Milky sap can irritate skin\.$/);
+  });
+});
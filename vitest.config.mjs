@@ -0,0 +1,14 @@
+import { fileURLToPath } from "url";
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  resolve: {
+    alias: [{ find: /^@\//, replacement: fileURLToPath(new URL("./", import.meta.url)) }],
+  },
+  test: {
+    environment: "node",
+    include: ["tests/**/*.test.js"],
+    // Route tests run against the mock providers and fixtures.
+    env: { MOCK_MODE: "true" },
+  },
+});